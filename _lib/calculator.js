@@ -31,33 +31,72 @@ export function calculateBerdFinalLength(metalLength, hubType, isLeft, { flangeL
 
 
 // --- Core Calculation Functions from your internal calculator file ---
-export function applyRounding(length, vendor, isPolylightX = false) {
-    if (vendor === 'Berd') {
-        if (isPolylightX) {
-            // Berd recommends +1mm for PolylightX, even with a puller
-            return Math.round(length) + 1;
-        }
-        // Standard Polylight with your spoke puller tool (-2mm deduction)
-        return Math.round(length) - 2;
-    }
-    // Standard Steel rounding (Round up to nearest even number)
-    return Math.ceil(length / 2) * 2;
+/**
+Rounds a length to a stocked length.
+@param {number} length - Calculated length.
+@param {object} policy - { stepMm, direction: 'up'|'down'|'nearest', offsetMm }
+@returns {number} The stocked length to pull.
+*/
+export function applyRoundingPolicy(length, { stepMm, direction, offsetMm = 0 }) {
+    const steps = length / stepMm;
+    const rounded = direction === 'up' ? Math.ceil(steps) : (direction === 'down' ? Math.floor(steps) : Math.round(steps));
+    // Clean up float noise from fractional steps (e.g. 0.5mm)
+    return parseFloat((rounded * stepMm + offsetMm).toFixed(2));
 }
 
-export function calculateElongation(spokeLength, tensionKgf, crossSectionalArea) {
+export function calculateElongation(spokeLength, tensionKgf, crossSectionalArea, modulusGpa = 210) {
     if (!crossSectionalArea || crossSectionalArea === 0) return 0;
-    const YOUNG_MODULUS_STEEL_GPA = 210;
     const tensionN = tensionKgf * 9.80665;
-    const modulusPa = YOUNG_MODULUS_STEEL_GPA * 1e9;
+    const modulusPa = modulusGpa * 1e9;
     const elongationMeters = (tensionN * (spokeLength / 1000)) / (modulusPa * (crossSectionalArea / 1e6));
     return elongationMeters * 1000;
 }
 
+/**
+Elongation of a butted or bladed spoke: each segment stretches according to its own section.
+@param {Array} segments - [{ length, area }] in mm / mm², laid out to the full spoke length.
+@param {number} tensionKgf - Tension on this spoke.
+@param {number} modulusGpa - Young's modulus of the spoke material.
+@returns {number} Total elongation in mm.
+*/
+export function calculateSegmentedElongation(segments, tensionKgf, modulusGpa = 210) {
+    return segments.reduce((total, segment) => total + calculateElongation(segment.length, tensionKgf, segment.area, modulusGpa), 0);
+}
+
+/**
+The length that puts the spoke end at the engagement target once it has stretched under tension.
+@param {number} geoLength - Geometric length.
+@param {number} stretch - Expected elongation at build tension.
+@param {number} engagementTargetMm - How far past the ERD seat the spoke end should sit (0 = flush).
+@returns {number} The ideal unloaded length.
+*/
+export function calculateIdealTensionedLength(geoLength, stretch, engagementTargetMm = 0) {
+    return geoLength - stretch + engagementTargetMm;
+}
+
+/**
+Where a tensioned spoke's threads end up inside the nipple.
+ERD is taken to the top of the nipple head, so endPosition 0 is a spoke end flush with the head.
+@param {object} params - { endPosition, nippleLengthMm, threadLengthMm }
+@returns {object} { engagement, protrusion, exposedThread } in mm.
+*/
+export function calculateNippleEngagement({ endPosition, nippleLengthMm, threadLengthMm }) {
+    const threadStart = endPosition - threadLengthMm;
+    // Overlap of the spoke thread [threadStart, end] with the nipple body [-nippleLength, 0]
+    const engagement = Math.max(0, Math.min(endPosition, 0) - Math.max(threadStart, -nippleLengthMm));
+    return {
+        engagement,
+        protrusion: Math.max(0, endPosition),
+        exposedThread: Math.max(0, -nippleLengthMm - threadStart)
+    };
+}
+
 export function calculateSpokeLength(params) {
     const { 
         hubType, 
         baseCrossPattern, 
         spokeCount, 
+        sideSpokeCount = spokeCount / 2,
         finalErd, 
         hubFlangeDiameter, 
         flangeOffset, 
@@ -77,7 +116,8 @@ export function calculateSpokeLength(params) {
         effectiveCross = parseFloat(baseCrossPattern) + 0.5;
     }
     
-    const angle = (2 * Math.PI * effectiveCross) / (spokeCount / 2);
+    // Use the holes on THIS flange, so uneven (e.g. 2:1) hubs get per-side lacing angles
+    const angle = (2 * Math.PI * effectiveCross) / sideSpokeCount;
     
     // --- STEP 2: Calculate path via Law of Cosines ---
     const term1 = Math.pow(f, 2);
@@ -100,9 +140,178 @@ export function calculateSpokeLength(params) {
     return geometricLength;
 }
 
-export function isLacingPossible(spokeCount, crossPattern) {
+export function isLacingPossible(spokeCount, crossPattern, sideSpokeCount = spokeCount / 2) {
     if (crossPattern === 0) return true;
-    const angleBetweenHoles = 360 / (spokeCount / 2);
+    const angleBetweenHoles = 360 / sideSpokeCount;
     const lacingAngle = crossPattern * angleBetweenHoles;
     return lacingAngle < 90;
 }
+
+/**
+Checks one side's lacing against the hub in the wheel plane.
+- Exit angle: the spoke's angle to the flange tangent at its hole. Near 0° a J-bend or hook spoke is dragged around the flange edge.
+- Head clearance: the gap between the spoke and the heads in the next holes it heads towards on the same flange.
+- Straight pull: how far the spoke line deviates from the hub's seat angle (measured against the tangent, like the exit angle).
+@param {object} params - { hubType, crossPattern, sideSpokeCount, hubFlangeDiameter, finalErd, headDiameterMm, spokeDiameterMm, minExitAngleDeg, seatAngleDeg, maxSeatDeviationDeg }
+@returns {object} { exitAngleDeg, headClearanceMm, seatDeviationDeg, problems }
+*/
+export function checkSpokeInterference(params) {
+    const {
+        hubType,
+        crossPattern,
+        sideSpokeCount,
+        hubFlangeDiameter,
+        finalErd,
+        headDiameterMm = 4.0,
+        spokeDiameterMm = 2.0,
+        minExitAngleDeg = 5,
+        seatAngleDeg = null,
+        maxSeatDeviationDeg = 8
+    } = params;
+
+    const r = hubFlangeDiameter / 2;
+    const R = finalErd / 2;
+    let effectiveCross = crossPattern;
+    if (hubType === 'Straight Pull' && crossPattern > 0) {
+        effectiveCross = parseFloat(crossPattern) + 0.5;
+    }
+    const holeSpacing = (2 * Math.PI) / sideSpokeCount;
+    const angle = holeSpacing * effectiveCross;
+
+    // Spoke from its hole at (r, 0) to the rim hole at angle `angle`
+    const dx = R * Math.cos(angle) - r;
+    const dy = R * Math.sin(angle);
+    const spokeLength = Math.sqrt(dx * dx + dy * dy);
+    const ux = dx / spokeLength;
+    const uy = dy / spokeLength;
+    const exitAngleDeg = Math.atan2(dx, dy) * 180 / Math.PI;
+
+    const result = { exitAngleDeg, headClearanceMm: null, seatDeviationDeg: null, problems: [] };
+
+    if (hubType === 'Straight Pull') {
+        if (seatAngleDeg !== null && seatAngleDeg !== undefined) {
+            result.seatDeviationDeg = Math.abs(exitAngleDeg - seatAngleDeg);
+            if (result.seatDeviationDeg > maxSeatDeviationDeg) {
+                result.problems.push(`spoke is ${result.seatDeviationDeg.toFixed(1)}° off the hub seat (max ${maxSeatDeviationDeg}°)`);
+            }
+        }
+        return result;
+    }
+
+    if (exitAngleDeg < minExitAngleDeg) {
+        result.problems.push(`exit angle ${exitAngleDeg.toFixed(1)}° to the flange tangent (min ${minExitAngleDeg}°)`);
+    }
+
+    // Only the holes the spoke travels towards can end up underneath it
+    let closest = Infinity;
+    for (let hole = 1; hole < sideSpokeCount; hole++) {
+        const px = r * Math.cos(hole * holeSpacing) - r;
+        const py = r * Math.sin(hole * holeSpacing);
+        const along = px * ux + py * uy;
+        if (along <= 0) continue;
+        closest = Math.min(closest, Math.abs(px * uy - py * ux));
+    }
+    if (closest !== Infinity) {
+        // Gap between the spoke's surface and the edge of the neighboring head; negative means they touch
+        result.headClearanceMm = closest - (headDiameterMm + spokeDiameterMm) / 2;
+        if (result.headClearanceMm < 0) {
+            result.problems.push(`rides over the next spoke head (${Math.abs(result.headClearanceMm).toFixed(1)} mm overlap)`);
+        }
+    }
+    return result;
+}
+
+/**
+Checks one side for interference and, where the pattern may be changed, drops it to the highest lower
+cross that clears. Shared by the webhook and the internal calculator so both pick the same pattern.
+@param {object} params - { side: 'left' | 'right', requestedCross, checkAtCross: (cross) => checkSpokeInterference result,
+allowDrop: false for manual overrides and families that never change a pattern automatically }
+@returns {object} { cross, check, notes } where notes describe any drop or remaining interference.
+*/
+export function resolveInterferenceCross({ side, requestedCross, checkAtCross, allowDrop = true }) {
+    const Side = side === 'left' ? 'Left' : 'Right';
+    const notes = [];
+    let cross = requestedCross;
+    let check = checkAtCross(cross);
+    if (check.problems.length > 0 && allowDrop) {
+        for (let candidate = requestedCross - 1; candidate >= 0; candidate--) {
+            const candidateCheck = checkAtCross(candidate);
+            if (candidateCheck.problems.length === 0) {
+                notes.push(`Interference: ${Side} ${requestedCross}-cross ${check.problems.join(' and ')}; dropped to ${candidate}-cross.`);
+                cross = candidate;
+                check = candidateCheck;
+                break;
+            }
+        }
+    }
+    if (check.problems.length > 0) {
+        notes.push(`INTERFERENCE WARNING: ${Side} ${cross}-cross ${check.problems.join(' and ')}.`);
+    }
+    return { cross, check, notes };
+}
+
+/**
+Splits a wheel's spokes between the flanges.
+@param {number} spokeCount - Total rim holes.
+@param {string} ratio - "left:right", e.g. "1:2" for a 2:1 rear hub with 16 drive / 8 non-drive on 24h. Empty means even.
+@returns {object} { left, right } or { error } when the ratio cannot divide the spoke count.
+*/
+export function getSpokeDistribution(spokeCount, ratio) {
+    if (!ratio) return { left: spokeCount / 2, right: spokeCount / 2 };
+
+    const parts = String(ratio).split(':').map(part => parseInt(part, 10));
+    if (parts.length !== 2 || parts.some(part => isNaN(part) || part <= 0)) {
+        return { error: `Invalid spoke ratio "${ratio}". Expected "left:right", e.g. "1:2".` };
+    }
+
+    const [ratioLeft, ratioRight] = parts;
+    const left = spokeCount * ratioLeft / (ratioLeft + ratioRight);
+    const right = spokeCount - left;
+    if (!Number.isInteger(left)) {
+        return { error: `Spoke ratio ${ratio} does not divide ${spokeCount}h evenly.` };
+    }
+    return { left, right };
+}
+
+/**
+Derives each side's bracing angle and the tension split that keeps the rim centered.
+Laterally the two flanges must balance: nL * TL * sin(bracingL) = nR * TR * sin(bracingR),
+so the side with the larger total lateral component runs at full target tension.
+@param {object} params - { hubType, finalErd, pcdL, pcdR, flangeL, flangeR, crossL, crossR, spokesL, spokesR, targetTensionKgf }
+@returns {object} { left: { bracingAngleDeg, tensionPercent, tensionKgf }, right: {...}, lowSide }
+*/
+export function calculateTensionBalance(params) {
+    const { hubType, finalErd, pcdL, pcdR, flangeL, flangeR, crossL, crossR, spokesL, spokesR, targetTensionKgf } = params;
+    const R = finalErd / 2;
+
+    const sideGeometry = (pcd, flangeOffset, cross, sideSpokeCount) => {
+        const r = pcd / 2;
+        let effectiveCross = cross;
+        if (hubType === 'Straight Pull' && cross > 0) {
+            effectiveCross = parseFloat(cross) + 0.5;
+        }
+        const angle = (2 * Math.PI * effectiveCross) / sideSpokeCount;
+        // Distance covered in the wheel plane, then the 3D spoke line including the flange offset
+        const planar = Math.sqrt(Math.pow(r, 2) + Math.pow(R, 2) - 2 * r * R * Math.cos(angle));
+        const length = Math.sqrt(Math.pow(planar, 2) + Math.pow(flangeOffset, 2));
+        return { sinBracing: Math.abs(flangeOffset) / length, bracingAngleDeg: Math.atan2(Math.abs(flangeOffset), planar) * 180 / Math.PI };
+    };
+
+    const left = sideGeometry(pcdL, flangeL, crossL, spokesL);
+    const right = sideGeometry(pcdR, flangeR, crossR, spokesR);
+
+    const lateralL = spokesL * left.sinBracing;
+    const lateralR = spokesR * right.sinBracing;
+
+    // Tension each side needs relative to the other (per spoke)
+    const ratioL = lateralL > 0 ? lateralR / lateralL : 1;
+    const ratioR = lateralR > 0 ? lateralL / lateralR : 1;
+    const percentL = ratioL >= 1 ? 100 : ratioL * 100;
+    const percentR = ratioR >= 1 ? 100 : ratioR * 100;
+
+    return {
+        left: { bracingAngleDeg: left.bracingAngleDeg, tensionPercent: percentL, tensionKgf: targetTensionKgf * percentL / 100 },
+        right: { bracingAngleDeg: right.bracingAngleDeg, tensionPercent: percentR, tensionKgf: targetTensionKgf * percentR / 100 },
+        lowSide: percentL < percentR ? 'left' : (percentR < percentL ? 'right' : null)
+    };
+}
@@ -0,0 +1,63 @@
+// File: /_lib/cutList.js
+
+// --- Cut-to-Length Mode ---
+// Spoke products marked `spoke_cut_to_length` = true stock blanks rather than finished lengths.
+// Instead of an exact-length variant we deduct the shortest blank that can be cut down to the
+// calculated length, and hand the cutter operator a cut list.
+//   spoke_cut_to_length   true for blank products
+//   spoke_max_cut_mm      most that may be cut off a blank (e.g. thread rolling limits); empty = no limit
+
+export const CUT_TO_LENGTH_KEY = 'spoke_cut_to_length';
+export const MAX_CUT_KEY = 'spoke_max_cut_mm';
+
+export function parseCutPolicy(enabledValue, maxCutValue) {
+    const enabled = enabledValue === true || String(enabledValue).toLowerCase() === 'true';
+    if (!enabled) return null;
+    const maxCutMm = parseFloat(maxCutValue);
+    return { maxCutMm: isNaN(maxCutMm) || maxCutMm < 0 ? null : maxCutMm };
+}
+
+/**
+Picks the blank to cut a target length from.
+The shortest blank that covers the quantity wins; if none does, the shortest blank at all is
+used so the shortfall still shows up as a stock alert.
+@param {number} targetLength - Calculated (rounded) length.
+@param {Array} candidates - [{ length, available, ... }] for the same color.
+@param {number} quantityNeeded - Spokes required for this side.
+@param {object} policy - From parseCutPolicy().
+@returns {object|null} The chosen candidate, or null if no blank is long enough.
+*/
+export function selectBlank(targetLength, candidates, quantityNeeded, policy) {
+    const usable = candidates
+        .filter(candidate => candidate.length >= targetLength)
+        .filter(candidate => policy.maxCutMm === null || candidate.length - targetLength <= policy.maxCutMm)
+        .sort((a, b) => a.length - b.length);
+
+    return usable.find(candidate => (candidate.available ?? 0) >= quantityNeeded) || usable[0] || null;
+}
+
+/**
+Groups cut sides into one row per blank, target length and color.
+@param {Array} sides - [{ wheel, side, cut: { blankLength, targetLength }, quantity, color }]
+@returns {Array} [{ blankLength, targetLength, quantity, color, positions }]
+*/
+export function buildCutList(sides) {
+    const rows = new Map();
+    for (const side of sides) {
+        const key = `${side.cut.blankLength}|${side.cut.targetLength}|${side.color}`;
+        const row = rows.get(key) || { blankLength: side.cut.blankLength, targetLength: side.cut.targetLength, quantity: 0, color: side.color, positions: [] };
+        row.quantity += side.quantity;
+        row.positions.push(`${side.wheel.toUpperCase()} ${side.side === 'left' ? 'Left' : 'Right'}`);
+        rows.set(key, row);
+    }
+    return Array.from(rows.values());
+}
+
+export function cutListToCsv(rows, orderNumber) {
+    const escape = (value) => /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+    const lines = [['Order', 'Blank Length (mm)', 'Target Length (mm)', 'Quantity', 'Color', 'Positions']];
+    for (const row of rows) {
+        lines.push([orderNumber, row.blankLength, row.targetLength, row.quantity, row.color, row.positions.join(' / ')]);
+    }
+    return lines.map(line => line.map(escape).join(',')).join('\n') + '\n';
+}
@@ -0,0 +1,314 @@
+// File: /_lib/eventStore.js
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+// --- Processed Event Store ---
+// Records which webhook deliveries we have already handled and how far we got
+// with each order, so Shopify redeliveries never touch inventory twice.
+//
+// A store is any object exposing two async methods:
+//   get(key)         -> the stored record, or null
+//   set(key, record) -> persists the record (plain JSON)
+// and, for claims (see acquireClaim), two more:
+//   add(key, record, ttlMs) -> stores the record only if the key is absent or expired; true if it did
+//   delete(key)             -> removes the record
+// add() must be atomic across every instance that can receive a webhook. The file store only
+// manages that within one instance, so production deployments need the KV store (or another
+// shared backend plugged in with setEventStore()). Stores without add/delete fall back to get/set,
+// which is not atomic.
+
+const DEFAULT_STORE_PATH = '/tmp/loamlabs-processed-events.json';
+const DEFAULT_TTL_DAYS = 30;
+
+// A claim younger than this is assumed to still be held by a running invocation
+// (Shopify retries after ~5s without a response); an older one was left by a crash.
+const IN_PROGRESS_LOCK_MS = 2 * 60 * 1000;
+
+// Claims carry their own expiry, so a crashed invocation never holds one forever.
+function isExpired(record) {
+    return Boolean(record?.expiresAt) && Date.parse(record.expiresAt) <= Date.now();
+}
+
+function withExpiry(record, ttlMs) {
+    return ttlMs ? { ...record, expiresAt: new Date(Date.now() + ttlMs).toISOString() } : record;
+}
+
+export function createMemoryEventStore() {
+    const records = new Map();
+    return {
+        async get(key) {
+            return records.has(key) ? structuredClone(records.get(key)) : null;
+        },
+        async set(key, record) {
+            records.set(key, structuredClone(record));
+        },
+        async add(key, record, ttlMs) {
+            if (records.has(key) && !isExpired(records.get(key))) return false;
+            records.set(key, structuredClone(withExpiry(record, ttlMs)));
+            return true;
+        },
+        async delete(key) {
+            records.delete(key);
+        }
+    };
+}
+
+export function createFileEventStore(filePath = DEFAULT_STORE_PATH, ttlDays = DEFAULT_TTL_DAYS) {
+    // All writes go through one promise chain so concurrent set() calls in the
+    // same invocation cannot clobber each other's read-modify-write.
+    let queue = Promise.resolve();
+
+    const readAll = async () => {
+        try {
+            return JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return {};
+            console.error(`🚨 Processed event store at ${filePath} is unreadable, starting fresh:`, error);
+            return {};
+        }
+    };
+
+    const writeAll = async (records) => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(records));
+        await fs.rename(tempPath, filePath);
+    };
+
+    const prune = (records) => {
+        const cutoff = Date.now() - ttlDays * 24 * 60 * 60 * 1000;
+        for (const [key, record] of Object.entries(records)) {
+            const stamp = Date.parse(record?.updatedAt || '');
+            if (!isNaN(stamp) && stamp < cutoff) delete records[key];
+        }
+        return records;
+    };
+
+    // Runs one read-modify-write after every earlier one has finished.
+    const enqueue = (update) => {
+        const write = queue.then(async () => {
+            const records = prune(await readAll());
+            const result = update(records);
+            await writeAll(records);
+            return result;
+        });
+        // Keep the chain alive even if this write fails; the caller still sees the error.
+        queue = write.catch(() => {});
+        return write;
+    };
+
+    return {
+        async get(key) {
+            await queue;
+            const records = await readAll();
+            return records[key] ?? null;
+        },
+        async set(key, record) {
+            await enqueue(records => { records[key] = record; });
+        },
+        async add(key, record, ttlMs) {
+            return enqueue(records => {
+                if (records[key] && !isExpired(records[key])) return false;
+                records[key] = withExpiry(record, ttlMs);
+                return true;
+            });
+        },
+        async delete(key) {
+            await enqueue(records => { delete records[key]; });
+        }
+    };
+}
+
+/**
+Shared store on a Redis REST API (Vercel KV / Upstash), so every function instance sees the
+same deliveries, checkpoints and claims. Records expire after ttlDays; claims after their own ttl.
+@param {object} options - { url, token, ttlDays, prefix } where url and token are the REST endpoint and its bearer token.
+*/
+export function createKvEventStore({ url, token, ttlDays = DEFAULT_TTL_DAYS, prefix = 'loamlabs:' }) {
+    const ttlSeconds = Math.round(ttlDays * 24 * 60 * 60);
+
+    const command = async (...args) => {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+            body: JSON.stringify(args)
+        });
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok || body.error) {
+            throw new Error(`Event store ${args[0]} failed: ${body.error || `HTTP ${response.status}`}`);
+        }
+        return body.result;
+    };
+
+    return {
+        async get(key) {
+            const value = await command('GET', prefix + key);
+            return value === null || value === undefined ? null : JSON.parse(value);
+        },
+        async set(key, record) {
+            await command('SET', prefix + key, JSON.stringify(record), 'EX', ttlSeconds);
+        },
+        async add(key, record, ttlMs) {
+            const expiry = ttlMs ? ['PX', Math.ceil(ttlMs)] : ['EX', ttlSeconds];
+            return (await command('SET', prefix + key, JSON.stringify(record), 'NX', ...expiry)) === 'OK';
+        },
+        async delete(key) {
+            await command('DEL', prefix + key);
+        }
+    };
+}
+
+let activeStore = null;
+
+// Release functions of the webhook claims held by this invocation, by webhook ID
+const activeClaims = new Map();
+
+async function releaseWebhookClaim(webhookId) {
+    const release = activeClaims.get(webhookId);
+    activeClaims.delete(webhookId);
+    if (release) await release();
+}
+
+export function setEventStore(store) {
+    activeStore = store;
+}
+
+export function getEventStore() {
+    if (activeStore) return activeStore;
+
+    const backend = (process.env.PROCESSED_EVENT_STORE || (process.env.KV_REST_API_URL ? 'kv' : 'file')).toLowerCase();
+    const ttlDays = parseFloat(process.env.PROCESSED_EVENT_TTL_DAYS) || DEFAULT_TTL_DAYS;
+    if (backend === 'memory') {
+        activeStore = createMemoryEventStore();
+    } else if (backend === 'kv') {
+        if (!process.env.KV_REST_API_URL || !process.env.KV_REST_API_TOKEN) {
+            throw new Error('PROCESSED_EVENT_STORE is "kv" but KV_REST_API_URL or KV_REST_API_TOKEN is not set.');
+        }
+        activeStore = createKvEventStore({ url: process.env.KV_REST_API_URL, token: process.env.KV_REST_API_TOKEN, ttlDays });
+    } else {
+        // /tmp is per-instance on Vercel: a file store there deduplicates nothing across instances, so it
+        // is refused unless chosen explicitly (e.g. for a preview deployment that never touches live stock)
+        if (process.env.VERCEL && !process.env.PROCESSED_EVENT_STORE) {
+            throw new Error('No shared processed-event store configured. Set KV_REST_API_URL and KV_REST_API_TOKEN (or PROCESSED_EVENT_STORE=file to accept per-instance deduplication).');
+        }
+        if (process.env.VERCEL) {
+            console.warn('⚠️ Using the file event store on Vercel. /tmp is per-instance, so redeliveries and claims are not shared between instances.');
+        }
+        activeStore = createFileEventStore(process.env.PROCESSED_EVENT_STORE_PATH || DEFAULT_STORE_PATH, ttlDays);
+    }
+    return activeStore;
+}
+
+/**
+Takes an exclusive claim on a key, so only one invocation at a time works on what it guards.
+The claim expires after ttlMs in case its holder dies without releasing it.
+@returns {Promise<Function|null>} An async release function, or null when someone else holds the claim.
+*/
+export async function acquireClaim(store, key, ttlMs = IN_PROGRESS_LOCK_MS) {
+    const token = randomUUID();
+    const record = { token, claimedAt: new Date().toISOString() };
+
+    let claimed;
+    if (store.add) {
+        claimed = await store.add(key, record, ttlMs);
+    } else {
+        const existing = await store.get(key);
+        claimed = !existing || isExpired(existing);
+        if (claimed) await store.set(key, withExpiry(record, ttlMs));
+    }
+    if (!claimed) return null;
+
+    return async () => {
+        // An expired claim may have been taken over since; only remove our own
+        const current = await store.get(key);
+        if (current?.token !== token) return;
+        if (store.delete) {
+            await store.delete(key);
+        } else {
+            await store.set(key, withExpiry(record, -1));
+        }
+    };
+}
+
+/**
+Claims a webhook delivery before processing it.
+@returns {Promise<'new'|'resumed'|'duplicate'|'in_progress'>}
+  'duplicate'   - already completed, acknowledge without doing anything.
+  'in_progress' - another invocation is still working on it right now.
+  'resumed'     - a previous attempt died midway; carry on from its checkpoints.
+*/
+export async function claimWebhook(store, webhookId, topic, orderId) {
+    const key = `webhook:${webhookId}`;
+    if ((await store.get(key))?.status === 'completed') return 'duplicate';
+
+    // Two deliveries of one webhook can arrive together; only the one holding the claim proceeds
+    const release = await acquireClaim(store, `claim:${key}`);
+    if (!release) return 'in_progress';
+    activeClaims.set(webhookId, release);
+
+    // Re-read under the claim: the previous holder may have completed in the meantime
+    const existing = await store.get(key);
+    const now = new Date().toISOString();
+    if (existing?.status === 'completed') {
+        await releaseWebhookClaim(webhookId);
+        return 'duplicate';
+    }
+
+    await store.set(key, {
+        status: 'in_progress',
+        topic,
+        orderId,
+        attempts: (existing?.attempts || 0) + 1,
+        receivedAt: existing?.receivedAt || now,
+        updatedAt: now
+    });
+    return existing ? 'resumed' : 'new';
+}
+
+export async function completeWebhook(store, webhookId) {
+    const key = `webhook:${webhookId}`;
+    const existing = await store.get(key) || {};
+    await store.set(key, { ...existing, status: 'completed', updatedAt: new Date().toISOString() });
+    await releaseWebhookClaim(webhookId);
+}
+
+// Releases the claim after a failure so Shopify's next retry is processed straight away.
+export async function releaseWebhook(store, webhookId) {
+    const key = `webhook:${webhookId}`;
+    const existing = await store.get(key) || {};
+    await store.set(key, { ...existing, status: 'failed', updatedAt: new Date().toISOString() });
+    await releaseWebhookClaim(webhookId);
+}
+
+/**
+Loads (or starts) the processing record for one order and topic.
+Handlers save a checkpoint after every side effect so a crashed run can be
+resumed step by step instead of being re-run from the top.
+*/
+export async function openOrderProcessing(store, orderId, topic) {
+    const key = `order:${orderId}:${topic}`;
+    const existing = await store.get(key);
+    const now = new Date().toISOString();
+    const state = existing || { orderId, topic, status: 'in_progress', steps: {}, startedAt: now, updatedAt: now };
+
+    const save = async () => {
+        state.updatedAt = new Date().toISOString();
+        await store.set(key, state);
+    };
+
+    return {
+        isResumed: Boolean(existing),
+        isCompleted: () => state.status === 'completed',
+        getStep: (name) => state.steps[name],
+        async setStep(name, value) {
+            state.steps[name] = value;
+            await save();
+        },
+        async complete() {
+            state.status = 'completed';
+            await save();
+        }
+    };
+}
@@ -0,0 +1,39 @@
+// File: /_lib/hardware.js
+
+// --- Nipples & Washers ---
+// Each wheel uses one nipple per spoke and, when the rim or spoke family calls for them, one
+// washer per nipple. They are separate build recipe components with their own options:
+//   frontNipples / rearNipples   e.g. { variantId, productId, title, selectedOptions: [Color, Length] }
+//   frontWashers / rearWashers   same shape
+// Washers are mandatory for some setups (Berd spokes, rims with a Mandatory washer policy) even
+// when the builder sends no washer component; those fall back to the variant named by the
+// `nipple_washer_variant` metafield on the spoke product, then on the rim.
+
+export const WASHER_VARIANT_KEY = 'nipple_washer_variant';
+
+export const HARDWARE_COMPONENTS = [
+    { component: 'nipples', label: 'Nipples', recipeSuffix: 'Nipples' },
+    { component: 'washers', label: 'Washers', recipeSuffix: 'Washers' }
+];
+
+export function hardwareLabel(component) {
+    return HARDWARE_COMPONENTS.find(part => part.component === component)?.label ?? component;
+}
+
+// Washers are only deducted when they are part of the calculated ERD.
+export function isWasherMandatory(washerPolicy) {
+    return String(washerPolicy || '').toLowerCase().startsWith('mandatory');
+}
+
+/**
+Finds the variant whose options equal every selected option on a recipe component.
+@param {Array} variants - Product variants with selectedOptions.
+@param {Array} selectedOptions - [{ name, value }] from the build recipe.
+@returns {Array} Matching variants (more than one means the options are ambiguous).
+*/
+export function matchVariantsByOptions(variants, selectedOptions) {
+    const normalize = (value) => String(value ?? '').trim().toLowerCase();
+    return variants.filter(variant => selectedOptions.every(option =>
+        variant.selectedOptions?.some(candidate => normalize(candidate.name) === normalize(option.name) && normalize(candidate.value) === normalize(option.value))
+    ));
+}
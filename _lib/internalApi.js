@@ -0,0 +1,39 @@
+// File: /_lib/internalApi.js
+
+// --- Internal Endpoint Helpers ---
+// Shared by the endpoints our own tools call (test calculator, dry run). Requests must carry
+// the INTERNAL_API_SECRET in the `x-internal-secret` header.
+
+// --- CORS Middleware function ---
+// This function sets the required headers to allow cross-origin requests.
+export const allowCors = (fn) => async (req, res) => {
+    res.setHeader('Access-Control-Allow-Credentials', true);
+    res.setHeader('Access-Control-Allow-Origin', '*'); // Or you can be more specific: 'https://loamlabsusa.com'
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, x-internal-secret');
+
+    // --- Handle preflight requests ---
+    // The browser sends an OPTIONS request first to check if the server allows the actual request.
+    if (req.method === 'OPTIONS') {
+        res.status(204).end();
+        return;
+    }
+    return await fn(req, res);
+};
+
+// --- Security Check ---
+// Answers 401/405 itself and returns false when the request must not go any further.
+export function authorizeInternalRequest(req, res) {
+    const expectedSecret = process.env.INTERNAL_API_SECRET;
+    const providedSecret = req.headers['x-internal-secret'];
+
+    if (!expectedSecret || providedSecret !== expectedSecret) {
+        res.status(401).json({ error: 'Unauthorized' });
+        return false;
+    }
+    if (req.method !== 'POST') {
+        res.status(405).json({ error: 'Method Not Allowed' });
+        return false;
+    }
+    return true;
+}
@@ -0,0 +1,111 @@
+// File: /_lib/inventoryBatch.js
+
+// --- All-or-Nothing Inventory Adjustments ---
+// Every inventory change an order needs is sent to Shopify as one inventoryAdjustQuantities
+// call, which Shopify applies atomically. If Shopify rejects that call (userErrors) we fall back
+// to one change at a time and, as soon as one is rejected, reverse the ones already applied, so
+// an order is never left half-deducted. A call that got no usable answer (network error, timeout,
+// 5xx) may still have been applied, so it is never re-sent. The outcome is one of:
+//   applied   every change is on the shelf
+//   none      nothing is (batch rejected, or every applied change was reversed)
+//   partial   a compensating reversal failed too; the listed changes need fixing by hand
+//   unknown   Shopify never answered for the listed changes; they need verifying by hand
+// A checkpoint left at 'pending' means a run died mid-mutation and the outcome is unknown;
+// 'preview' marks a recalculation that was only shown, never applied.
+
+export function inventoryChangeKey(change) {
+    return `${change.inventoryItemId}|${change.locationId}`;
+}
+
+// One change per inventory item and location, e.g. front and rear left both pulling 298mm Black.
+export function mergeInventoryChanges(changes) {
+    const merged = new Map();
+    for (const change of changes) {
+        const key = inventoryChangeKey(change);
+        const entry = merged.get(key) || { inventoryItemId: change.inventoryItemId, locationId: change.locationId, delta: 0 };
+        entry.delta += change.delta;
+        merged.set(key, entry);
+    }
+    return Array.from(merged.values()).filter(change => change.delta !== 0);
+}
+
+/**
+Applies inventory changes all-or-nothing.
+@param {Array} changes - [{ inventoryItemId, locationId, delta }], merged per item and location first.
+@param {Function} adjust - async (changes) => Map(key -> quantityAfterChange), null when Shopify rejected them,
+or throws when the outcome is unknown.
+@returns {Promise<object>} { outcome: 'applied' | 'none' | 'partial' | 'unknown', mode: 'batch' | 'sequential',
+quantitiesAfter: { key: quantity }, failed: change|null, unreversed: [changes still applied after a partial rollback],
+unknown: [changes Shopify never answered for] }
+*/
+export async function applyAllOrNothing(changes, adjust) {
+    const merged = mergeInventoryChanges(changes);
+    if (merged.length === 0) {
+        return { outcome: 'applied', mode: 'batch', quantitiesAfter: {}, failed: null, unreversed: [], unknown: [] };
+    }
+
+    let batch;
+    try {
+        batch = await adjust(merged);
+    } catch (error) {
+        console.error(`🚨 No answer from Shopify for the batched adjustment of ${merged.length} inventory item(s). Not re-sending it.`);
+        return { outcome: 'unknown', mode: 'batch', quantitiesAfter: {}, failed: null, unreversed: [], unknown: merged };
+    }
+    if (batch) {
+        return { outcome: 'applied', mode: 'batch', quantitiesAfter: Object.fromEntries(batch), failed: null, unreversed: [], unknown: [] };
+    }
+
+    console.warn(`⚠️ Batched adjustment of ${merged.length} inventory item(s) was rejected. Applying one at a time with rollback.`);
+    const applied = [];
+    const quantitiesAfter = {};
+    for (const change of merged) {
+        let result;
+        let answered = true;
+        try {
+            result = await adjust([change]);
+        } catch (error) {
+            answered = false;
+        }
+        if (!result) {
+            console.error(`🚨 Adjustment of ${change.inventoryItemId} ${answered ? 'failed' : 'got no answer and is not re-sent'}. Reversing ${applied.length} applied change(s).`);
+            // A reversal with an unknown outcome cannot be counted as reversed either
+            const unreversed = [];
+            for (const done of applied.reverse()) {
+                const reversed = await adjust([{ ...done, delta: -done.delta }]).catch(() => null);
+                if (!reversed) unreversed.push(done);
+            }
+            if (!answered) {
+                return { outcome: 'unknown', mode: 'sequential', quantitiesAfter: {}, failed: change, unreversed, unknown: [change] };
+            }
+            return { outcome: unreversed.length > 0 ? 'partial' : 'none', mode: 'sequential', quantitiesAfter: {}, failed: change, unreversed, unknown: [] };
+        }
+        applied.push(change);
+        Object.assign(quantitiesAfter, Object.fromEntries(result));
+    }
+    return { outcome: 'applied', mode: 'sequential', quantitiesAfter, failed: null, unreversed: [], unknown: [] };
+}
+
+export function describeBatchOutcome(batch) {
+    if (batch.outcome === 'pending') {
+        return 'UNKNOWN - ACTION REQUIRED: interrupted mid-adjustment, verify stock manually.';
+    }
+    if (batch.outcome === 'preview') {
+        return 'PREVIEW - nothing applied';
+    }
+    if (batch.outcome === 'applied') {
+        return batch.mode === 'batch'
+            ? 'ALL APPLIED (single batched adjustment)'
+            : 'ALL APPLIED (batch rejected, applied one at a time)';
+    }
+    const unreversed = batch.unreversed?.length > 0
+        ? ` Could not reverse ${batch.unreversed.map(change => `${change.delta} x ${change.inventoryItemId}`).join(', ')}.`
+        : '';
+    if (batch.outcome === 'unknown') {
+        return `UNKNOWN - ACTION REQUIRED: Shopify did not answer for ${batch.unknown.map(change => `${change.delta} x ${change.inventoryItemId}`).join(', ')}. Not re-sent, verify stock manually.${unreversed}`;
+    }
+    const failed = batch.failed ? ` Adjustment of ${batch.failed.inventoryItemId} failed.` : '';
+    if (batch.outcome === 'none') {
+        return `NONE APPLIED: inventory left untouched.${failed}`;
+    }
+    return `PARTIAL - ACTION REQUIRED:${failed}${unreversed}`;
+}
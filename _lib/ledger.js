@@ -0,0 +1,224 @@
+// File: /_lib/ledger.js
+
+import { createHash } from 'crypto';
+import { CONSUMED_STATE } from './reservations.js';
+
+// --- Spoke Adjustment Ledger ---
+// A machine-readable record of every inventory change made for an order, stored
+// as a JSON metafield on the order. Restocks are driven exclusively from this
+// record, never from the human-readable note (which staff are free to edit).
+
+export const LEDGER_NAMESPACE = 'loamlabs';
+export const LEDGER_KEY = 'spoke_ledger';
+export const LEDGER_VERSION = 2;
+
+export function createLedger({ orderId, orderGid }) {
+    return {
+        version: LEDGER_VERSION,
+        orderId,
+        orderGid,
+        builds: {},
+        revision: 0,
+        status: 'applied',
+        createdAt: new Date().toISOString(),
+        entries: []
+    };
+}
+
+// Identifies which `_build` recipe the ledger's entries were calculated from.
+export function fingerprintRecipe(rawRecipe) {
+    return createHash('sha256').update(rawRecipe).digest('hex');
+}
+
+// One record per custom build line item: the recipe and quantity its open entries were calculated from.
+// Builds already given back by refunds are counted per wheel and carried over (see recordRefundedBuilds).
+export function recordLedgerBuild(ledger, { lineItemId, buildId, recipeHash, quantity }) {
+    ledger.builds = ledger.builds || {};
+    const refunded = ledger.builds[lineItemId]?.refunded;
+    ledger.builds[lineItemId] = { buildId, recipeHash, quantity, ...(refunded && { refunded }) };
+    return ledger;
+}
+
+// Counts builds of one wheel whose stock a refund gave back; their entries no longer cover them.
+export function recordRefundedBuilds(ledger, lineItemId, wheel, builds) {
+    const build = ledger.builds?.[lineItemId];
+    if (!build) return ledger;
+    build.refunded = { ...build.refunded, [wheel]: (build.refunded?.[wheel] || 0) + builds };
+    return ledger;
+}
+
+// How many builds of a wheel the open entries cover: the recorded quantity less refunded builds.
+export function openBuildQuantity(build, wheel) {
+    return Math.max(0, (build?.quantity ?? 0) - (build?.refunded?.[wheel] || 0));
+}
+
+export function getLedgerBuild(ledger, lineItemId) {
+    if (ledger.builds?.[lineItemId]) return ledger.builds[lineItemId];
+    // Version 1 ledgers tracked a single build (of quantity 1) at the top level
+    if (!ledger.builds && String(ledger.lineItemId) === String(lineItemId)) {
+        return { recipeHash: ledger.recipeHash, quantity: 1 };
+    }
+    return null;
+}
+
+export function ledgerEntryId(lineItemId, wheel, side, revision = 0) {
+    return `${lineItemId}:${wheel}:${side}:r${revision}`;
+}
+
+// Spokes occupy one slot per side; nipples and washers one slot per wheel.
+export function entrySlot(entry) {
+    return `${entry.wheel}:${entry.component ?? entry.side}`;
+}
+
+/**
+Records one applied inventory change.
+@param {object} entry - { lineItemId, buildId, wheel, side, productId, variantId, inventoryItemId, locationId, delta, length, color }
+for spokes, or { ..., component: 'nipples' | 'washers', description } in place of side/length/color for hardware.
+Reserved stock (see reservations.js) also carries state: 'reserved'.
+*/
+export function addLedgerEntry(ledger, entry) {
+    ledger.entries.push({
+        id: ledgerEntryId(entry.lineItemId, entry.wheel, entry.component ?? entry.side, ledger.revision || 0),
+        ...entry,
+        status: 'applied',
+        appliedAt: new Date().toISOString()
+    });
+    // A recalculation supersedes every old entry before adding the new ones
+    refreshLedgerStatus(ledger);
+    return ledger;
+}
+
+/**
+Splits part of an open entry off into an open entry of its own, e.g. the refunded builds of a
+multi-quantity line item. The delta and spares are shared in proportion to the builds.
+@param {object} options - { builds: how many builds to split off, of: how many the entry covers, suffix: makes the new id unique }
+@returns {object|null} The split-off entry, or null if the entry is not open.
+*/
+export function splitLedgerEntry(ledger, entryId, { builds, of, suffix }) {
+    const entry = ledger.entries.find(e => e.id === entryId);
+    if (!entry || entry.status !== 'applied') return null;
+    const share = (value) => Math.round(value * builds / of);
+    const part = { ...entry, id: `${entry.id}:${suffix}`, delta: share(entry.delta), ...(entry.spares && { spares: share(entry.spares) }) };
+    entry.delta -= part.delta;
+    if (entry.spares) entry.spares -= part.spares;
+    ledger.entries.push(part);
+    return part;
+}
+
+// Entries that have been deducted and not yet given back.
+export function getOpenEntries(ledger) {
+    return (ledger?.entries || []).filter(entry => entry.status === 'applied');
+}
+
+export function markEntryReversed(ledger, entryId, reason) {
+    const entry = ledger.entries.find(e => e.id === entryId);
+    if (!entry) return null;
+    entry.status = 'reversed';
+    entry.reversedAt = new Date().toISOString();
+    entry.reversalReason = reason;
+    refreshLedgerStatus(ledger);
+    return entry;
+}
+
+// A reserved entry whose stock was pulled when the order was fulfilled. It stays open,
+// so a later cancellation or refund still restocks it.
+export function markEntryConsumed(ledger, entryId) {
+    const entry = ledger.entries.find(e => e.id === entryId);
+    if (!entry) return null;
+    entry.state = CONSUMED_STATE;
+    entry.consumedAt = new Date().toISOString();
+    return entry;
+}
+
+// An entry replaced by a recalculation. Its stock was handed back (or carried
+// over) as part of the revision's net adjustment, so it is no longer open.
+export function markEntrySuperseded(ledger, entryId, revision) {
+    const entry = ledger.entries.find(e => e.id === entryId);
+    if (!entry) return null;
+    entry.status = 'superseded';
+    entry.supersededAt = new Date().toISOString();
+    entry.supersededByRevision = revision;
+    refreshLedgerStatus(ledger);
+    return entry;
+}
+
+function refreshLedgerStatus(ledger) {
+    const open = getOpenEntries(ledger);
+    if (open.length === 0) {
+        ledger.status = 'reversed';
+    } else if (ledger.entries.some(e => e.status === 'reversed')) {
+        ledger.status = 'partially_reversed';
+    } else {
+        ledger.status = 'applied';
+    }
+}
+
+/**
+Compares the ledger's open entries against a freshly calculated set.
+Entries are matched by wheel and side (or hardware component). Only the net quantity per inventory item
+and location needs to move, e.g. swapping front and rear lengths nets to zero.
+@param {Array} openEntries - Currently applied ledger entries.
+@param {Array} desiredEntries - Entries the new calculation wants (same shape, not yet in the ledger).
+@param {object} options - { keepWheels: wheels whose recalculation failed and must be left untouched }
+@returns {object} { unchanged, replaced: [{ previous, next }], removed, added, netChanges: [{ inventoryItemId, locationId, delta }] }
+*/
+export function diffLedgerEntries(openEntries, desiredEntries, { keepWheels = [] } = {}) {
+    const desiredBySlot = new Map(desiredEntries.map(entry => [entrySlot(entry), entry]));
+    const result = { unchanged: [], replaced: [], removed: [], added: [], netChanges: [] };
+    const net = new Map();
+
+    const move = (entry, delta) => {
+        const key = `${entry.inventoryItemId}|${entry.locationId}`;
+        const change = net.get(key) || { inventoryItemId: entry.inventoryItemId, locationId: entry.locationId, delta: 0 };
+        change.delta += delta;
+        net.set(key, change);
+    };
+
+    for (const previous of openEntries) {
+        if (keepWheels.includes(previous.wheel)) {
+            result.unchanged.push(previous);
+            desiredBySlot.delete(entrySlot(previous));
+            continue;
+        }
+        const next = desiredBySlot.get(entrySlot(previous));
+        desiredBySlot.delete(entrySlot(previous));
+
+        if (next && next.inventoryItemId === previous.inventoryItemId && next.locationId === previous.locationId && next.delta === previous.delta) {
+            result.unchanged.push(previous);
+            continue;
+        }
+
+        move(previous, -previous.delta);
+        if (next) {
+            move(next, next.delta);
+            result.replaced.push({ previous, next });
+        } else {
+            result.removed.push(previous);
+        }
+    }
+
+    for (const next of desiredBySlot.values()) {
+        if (keepWheels.includes(next.wheel)) continue;
+        move(next, next.delta);
+        result.added.push(next);
+    }
+
+    result.netChanges = Array.from(net.values()).filter(change => change.delta !== 0);
+    return result;
+}
+
+export function parseLedger(value) {
+    if (!value) return null;
+    try {
+        const ledger = typeof value === 'string' ? JSON.parse(value) : value;
+        if (!ledger || !Array.isArray(ledger.entries)) return null;
+        return ledger;
+    } catch (error) {
+        console.error('🚨 Spoke ledger metafield is not valid JSON:', error);
+        return null;
+    }
+}
+
+export function serializeLedger(ledger) {
+    return JSON.stringify(ledger);
+}
@@ -0,0 +1,56 @@
+// File: /_lib/lengthFallback.js
+
+// --- Nearest-Length Fallback ---
+// When the calculated length is missing or out of stock, a spoke product may allow a
+// nearby stocked length instead. Tolerance and direction come from spoke metafields:
+//   spoke_length_fallback_tolerance_mm  e.g. 1 (steel)  -> +/-1mm allowed
+//   spoke_length_fallback_direction     'Either' | 'Longer Only' | 'Shorter Only'
+// No tolerance (the default) means no substitution is ever made.
+
+export const FALLBACK_TOLERANCE_KEY = 'spoke_length_fallback_tolerance_mm';
+export const FALLBACK_DIRECTION_KEY = 'spoke_length_fallback_direction';
+
+export function parseFallbackPolicy(toleranceValue, directionValue) {
+    const toleranceMm = parseFloat(toleranceValue);
+    const direction = (directionValue || 'Either').toLowerCase();
+
+    return {
+        toleranceMm: isNaN(toleranceMm) || toleranceMm < 0 ? 0 : toleranceMm,
+        direction: direction.startsWith('longer') ? 'longer' : direction.startsWith('shorter') ? 'shorter' : 'either'
+    };
+}
+
+export function describeFallbackPolicy(policy) {
+    if (!policy || policy.toleranceMm <= 0) return 'No substitution allowed';
+    if (policy.direction === 'longer') return `Up to +${policy.toleranceMm}mm longer only`;
+    if (policy.direction === 'shorter') return `Up to -${policy.toleranceMm}mm shorter only`;
+    return `Within ±${policy.toleranceMm}mm`;
+}
+
+/**
+Picks the closest stocked length that the policy allows.
+Ties go to the longer spoke, which is easier to live with in the nipple than a short one.
+@param {number} targetLength - The calculated (rounded) length.
+@param {Array} candidates - [{ length, available, ... }] for the same color.
+@param {number} quantityNeeded - Spokes required for this side.
+@param {object} policy - From parseFallbackPolicy().
+@returns {object|null} The chosen candidate, or null if nothing qualifies.
+*/
+export function selectFallbackLength(targetLength, candidates, quantityNeeded, policy) {
+    if (!policy || policy.toleranceMm <= 0) return null;
+
+    const allowed = candidates.filter(candidate => {
+        const diff = candidate.length - targetLength;
+        if (diff === 0 || Math.abs(diff) > policy.toleranceMm) return false;
+        if (policy.direction === 'longer' && diff < 0) return false;
+        if (policy.direction === 'shorter' && diff > 0) return false;
+        return (candidate.available ?? 0) >= quantityNeeded;
+    });
+
+    allowed.sort((a, b) => {
+        const distance = Math.abs(a.length - targetLength) - Math.abs(b.length - targetLength);
+        return distance !== 0 ? distance : b.length - a.length;
+    });
+
+    return allowed[0] || null;
+}
@@ -0,0 +1,55 @@
+// File: /_lib/locationStrategy.js
+
+// --- Inventory Location Selection ---
+// SPOKE_LOCATION_STRATEGY chooses where each wheel's spokes, nipples and washers are taken from:
+//   Primary            (default) SHOPIFY_PRIMARY_LOCATION_ID, then the order's location_id, then the primary location
+//   Fulfillment Order  the location the order's fulfillment order for the build line item is assigned to
+//   First With Stock   the first active location (default location first) holding enough for both sides
+//   Ranked             the first location in SPOKE_LOCATION_RANKING holding enough for both sides,
+//                      e.g. "81234567890, 81234567891"; if none does, the top-ranked one
+// Strategies that cannot decide fall back to the Primary location. The chosen location is written
+// to every ledger entry, so restocks and releases go back to where the stock was taken from.
+
+export const LOCATION_STRATEGY_PRIMARY = 'Primary';
+export const LOCATION_STRATEGY_FULFILLMENT_ORDER = 'Fulfillment Order';
+export const LOCATION_STRATEGY_FIRST_WITH_STOCK = 'First With Stock';
+export const LOCATION_STRATEGY_RANKED = 'Ranked';
+
+const STRATEGIES = [LOCATION_STRATEGY_PRIMARY, LOCATION_STRATEGY_FULFILLMENT_ORDER, LOCATION_STRATEGY_FIRST_WITH_STOCK, LOCATION_STRATEGY_RANKED];
+
+export function parseLocationStrategy(value) {
+    const normalize = (text) => String(text ?? '').trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+    const strategy = STRATEGIES.find(candidate => normalize(candidate) === normalize(value));
+    if (!strategy && normalize(value)) {
+        console.warn(`⚠️ Unknown SPOKE_LOCATION_STRATEGY "${value}". Using the ${LOCATION_STRATEGY_PRIMARY} location.`);
+    }
+    return strategy || LOCATION_STRATEGY_PRIMARY;
+}
+
+// Accepts numeric IDs (as in SHOPIFY_PRIMARY_LOCATION_ID) or full GIDs.
+export function toLocationGid(locationId) {
+    const id = String(locationId).trim();
+    return id.startsWith('gid://') ? id : `gid://shopify/Location/${id}`;
+}
+
+export function parseLocationRanking(value) {
+    return String(value ?? '')
+        .split(',')
+        .map(id => id.trim())
+        .filter(Boolean)
+        .map(toLocationGid);
+}
+
+/**
+Whether one location holds enough of every needed item.
+@param {Map} available - inventoryItemId -> available quantity at the location.
+@param {Array} needs - [{ inventoryItemId, quantity }]; the same item may appear more than once (both sides on one variant).
+@returns {boolean}
+*/
+export function hasStockFor(available, needs) {
+    const required = new Map();
+    for (const need of needs) {
+        required.set(need.inventoryItemId, (required.get(need.inventoryItemId) || 0) + need.quantity);
+    }
+    return Array.from(required.entries()).every(([inventoryItemId, quantity]) => (available.get(inventoryItemId) ?? 0) >= quantity);
+}
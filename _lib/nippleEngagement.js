@@ -0,0 +1,43 @@
+// File: /_lib/nippleEngagement.js
+
+// --- Nipple Engagement & Protrusion Limits ---
+// A correct ERD-based length can still leave too little thread in a long nipple, or poke
+// past the nipple head into the rim tape. Dimensions come from metafields:
+//   nipple_length_mm        nipple component (`frontNipples` / `rearNipples`), else the spoke product
+//   spoke_thread_length_mm  spoke product
+//   rim_internal_height_mm  rim: room above a seated nipple head before the rim bed / tape
+// Limits and what to do when they are broken are configured globally:
+//   NIPPLE_MIN_ENGAGEMENT_MM  (default 6)
+//   NIPPLE_ENGAGEMENT_POLICY  'Warn' (default) adds a warning, 'Fail' stops the wheel's calculation
+
+export const NIPPLE_LENGTH_KEY = 'nipple_length_mm';
+export const THREAD_LENGTH_KEY = 'spoke_thread_length_mm';
+export const RIM_INTERNAL_HEIGHT_KEY = 'rim_internal_height_mm';
+
+export const DEFAULT_NIPPLE_LENGTH_MM = 12;
+export const DEFAULT_THREAD_LENGTH_MM = 10;
+
+export function getEngagementLimits() {
+    const minEngagementMm = parseFloat(process.env.NIPPLE_MIN_ENGAGEMENT_MM);
+    return {
+        minEngagementMm: isNaN(minEngagementMm) ? 6 : minEngagementMm,
+        policy: (process.env.NIPPLE_ENGAGEMENT_POLICY || 'Warn').toLowerCase() === 'fail' ? 'fail' : 'warn'
+    };
+}
+
+/**
+Lists every limit a side's engagement breaks.
+@param {object} result - From calculateNippleEngagement().
+@param {object} limits - { minEngagementMm, rimInternalHeightMm } (no rim height means protrusion is not limited).
+@returns {Array} Human-readable problems, empty when the side is fine.
+*/
+export function evaluateEngagement(result, { minEngagementMm, rimInternalHeightMm }) {
+    const problems = [];
+    if (result.engagement < minEngagementMm) {
+        problems.push(`only ${result.engagement.toFixed(1)} mm thread engagement (minimum ${minEngagementMm} mm)`);
+    }
+    if (rimInternalHeightMm > 0 && result.protrusion > rimInternalHeightMm) {
+        problems.push(`protrudes ${result.protrusion.toFixed(1)} mm past the nipple head, more than the ${rimInternalHeightMm} mm rim internal height`);
+    }
+    return problems;
+}
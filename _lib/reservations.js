@@ -0,0 +1,46 @@
+// File: /_lib/reservations.js
+
+// --- Reserve at Order Time, Consume on Fulfillment ---
+// SPOKE_INVENTORY_MODE decides what an order does to spoke, nipple and washer stock:
+//   Deduct    (default) subtract from `available` when the order is created
+//   Reserve   move the quantity from `available` to `reserved` when the order is created, and
+//             take it out of `reserved` (and on hand) when the order is fulfilled
+// Reserved stock is promised to a build but still in the bin; consumed stock has been pulled.
+// Cancelling or refunding a reserved build releases the reservation back to `available`
+// instead of restocking. Ledger entries record which state their stock is in.
+
+export const INVENTORY_MODE_DEDUCT = 'Deduct';
+export const INVENTORY_MODE_RESERVE = 'Reserve';
+
+export const RESERVED_STATE = 'reserved';
+export const CONSUMED_STATE = 'consumed';
+
+// Reasons shown in Shopify's inventory history. Shopify has no reason for parts used in a
+// build, so consumption is recorded as "other" with the order as reference document.
+export const INVENTORY_REASONS = {
+    deduct: 'correction',
+    reserve: 'reservation_created',
+    release: 'reservation_deleted',
+    update: 'reservation_updated',
+    consume: 'other'
+};
+
+export function parseInventoryMode(value) {
+    const text = String(value ?? '').trim().toLowerCase();
+    if (text === 'reserve') return INVENTORY_MODE_RESERVE;
+    if (text && text !== 'deduct') {
+        console.warn(`⚠️ Unknown SPOKE_INVENTORY_MODE "${value}". Deducting inventory instead.`);
+    }
+    return INVENTORY_MODE_DEDUCT;
+}
+
+export function isReservedEntry(entry) {
+    return entry.state === RESERVED_STATE;
+}
+
+// Negative deltas reserve, positive ones release; a mix (order edits) updates the reservation.
+export function reservationReason(changes) {
+    if (changes.every(change => change.delta < 0)) return INVENTORY_REASONS.reserve;
+    if (changes.every(change => change.delta > 0)) return INVENTORY_REASONS.release;
+    return INVENTORY_REASONS.update;
+}
@@ -0,0 +1,64 @@
+// File: /_lib/roundingPolicy.js
+
+// --- Rounding Policy ---
+// How a calculated length becomes a stocked length. Each spoke family has a default
+// (steel: up to the next 2mm; Berd: nearest 1mm, then -2mm for the puller tool or +1mm for
+// PolylightX) and any part of it can be overridden per spoke product:
+//   spoke_rounding_step_mm       e.g. 1 for spokes stocked in 1mm increments
+//   spoke_rounding_direction     'Up' | 'Down' | 'Nearest'
+//   spoke_rounding_offset_mm     added after rounding, e.g. -2
+//   spoke_min_length_mm / spoke_max_length_mm  the stocked range; lengths outside it fail the wheel
+
+export const ROUNDING_STEP_KEY = 'spoke_rounding_step_mm';
+export const ROUNDING_DIRECTION_KEY = 'spoke_rounding_direction';
+export const ROUNDING_OFFSET_KEY = 'spoke_rounding_offset_mm';
+export const MIN_LENGTH_KEY = 'spoke_min_length_mm';
+export const MAX_LENGTH_KEY = 'spoke_max_length_mm';
+
+const toNumber = (value) => {
+    const num = parseFloat(value);
+    return isNaN(num) ? null : num;
+};
+
+/**
+Merges rounding metafields over the spoke family's default policy.
+@param {object} values - Raw metafield values keyed stepMm, direction, offsetMm, minLengthMm, maxLengthMm.
+@param {object} familyDefault - { stepMm, direction, offsetMm } from the spoke family.
+@returns {object} { stepMm, direction: 'up'|'down'|'nearest', offsetMm, minLengthMm, maxLengthMm, source }
+*/
+export function parseRoundingPolicy(values, familyDefault) {
+    const step = toNumber(values.stepMm);
+    const offset = toNumber(values.offsetMm);
+    const direction = (values.direction || '').toString().trim().toLowerCase();
+    const overridden = (step !== null && step > 0) || offset !== null || ['up', 'down', 'nearest'].includes(direction);
+
+    return {
+        stepMm: step !== null && step > 0 ? step : familyDefault.stepMm,
+        direction: ['up', 'down', 'nearest'].includes(direction) ? direction : familyDefault.direction,
+        offsetMm: offset !== null ? offset : familyDefault.offsetMm,
+        minLengthMm: toNumber(values.minLengthMm),
+        maxLengthMm: toNumber(values.maxLengthMm),
+        source: overridden ? 'spoke product' : 'family default'
+    };
+}
+
+export function describeRoundingPolicy(policy) {
+    const direction = policy.direction === 'up' ? 'Up to' : (policy.direction === 'down' ? 'Down to' : 'Nearest');
+    let text = `${direction} ${policy.stepMm}mm step`;
+    if (policy.offsetMm) text += `, ${policy.offsetMm > 0 ? '+' : ''}${policy.offsetMm}mm offset`;
+    if (policy.minLengthMm !== null || policy.maxLengthMm !== null) {
+        text += `, stocked ${policy.minLengthMm ?? '?'}-${policy.maxLengthMm ?? '?'}mm`;
+    }
+    return `${text} (${policy.source})`;
+}
+
+// Returns a message when the rounded length is outside the stocked range, otherwise null.
+export function checkStockedRange(length, policy) {
+    if (policy.minLengthMm !== null && length < policy.minLengthMm) {
+        return `${length}mm is shorter than the shortest stocked length (${policy.minLengthMm}mm)`;
+    }
+    if (policy.maxLengthMm !== null && length > policy.maxLengthMm) {
+        return `${length}mm is longer than the longest stocked length (${policy.maxLengthMm}mm)`;
+    }
+    return null;
+}
@@ -0,0 +1,40 @@
+// File: /_lib/sparePolicy.js
+
+// --- Spare Spoke Policy ---
+// Builders pull a few extra spokes for breakage during lacing. The spare policy adds them to
+// the deduction so inventory matches what actually left the bin:
+//   spoke_spare_policy   on the spoke product, e.g. "+1 per side" or "+2 per wheel"
+//   DEFAULT_SPARE_SPOKE_POLICY   the same syntax, used when the product sets none (default: none)
+// Spares per wheel are split between the sides, the odd one going to the left. Spares are
+// counted per wheel built, so a line item quantity of 2 pulls twice the spares.
+
+export const SPARE_POLICY_KEY = 'spoke_spare_policy';
+
+/**
+Parses a spare policy like "+1 per side" or "2 per wheel".
+@param {string} value - Metafield or env value; empty, "0" or "none" means no spares.
+@returns {object|null} { count, per: 'side' | 'wheel' }, or null for no spares or an unreadable value.
+*/
+export function parseSparePolicy(value) {
+    const text = String(value ?? '').trim().toLowerCase();
+    const match = text.match(/^\+?\s*(\d+)\s*(?:spares?\s*)?(?:per|\/)\s*(side|wheel)$/);
+    if (!match) {
+        if (text && text !== 'none' && text !== '0') {
+            console.warn(`⚠️ Ignoring unreadable spare spoke policy "${value}".`);
+        }
+        return null;
+    }
+    const count = parseInt(match[1], 10);
+    return count > 0 ? { count, per: match[2] } : null;
+}
+
+export function sparesForSide(policy, side, buildQuantity = 1) {
+    if (!policy) return 0;
+    if (policy.per === 'side') return policy.count * buildQuantity;
+    const perSide = side === 'left' ? Math.ceil(policy.count / 2) : Math.floor(policy.count / 2);
+    return perSide * buildQuantity;
+}
+
+export function describeSparePolicy(policy) {
+    return policy ? `+${policy.count} per ${policy.per}` : 'None';
+}
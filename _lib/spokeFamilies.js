@@ -0,0 +1,81 @@
+// File: /_lib/spokeFamilies.js
+
+import { calculateBerdFinalLength } from './calculator.js';
+
+// --- Spoke Family Registry ---
+// Everything that differs between spoke types is declared here once, so the webhook and the
+// internal calculator never branch on vendor names. A spoke product selects its family with the
+// `spoke_model_group` metafield (e.g. "Berd PolylightX"); products without one fall back to
+// vendor/title detection and finally to plain steel.
+//
+// A family declares:
+//   label           shown in the note and email
+//   lengthLabel     how the pre-rounding length is labelled ("Geo", "Raw BERD")
+//   washerPolicy    (rimWasherPolicy) => { policy, addWashers }
+//   correctLengths  ({ metalLengthL, metalLengthR, hubType, flangeL, flangeR }) => { left, right }
+//   rounding        default { stepMm, direction, offsetMm }, overridable per product (see roundingPolicy.js)
+//   elongationModel 'material' to compute stretch from spoke material and butting profile, null when
+//                   the family's length correction already accounts for it
+//   inventoryColor  (selectedColor) => color of the variant to deduct
+//   validatesLacing false to skip the lacing-angle check that rejects impossible cross patterns and
+//                   the automatic interference drop (interference is then only reported)
+
+const families = new Map();
+
+const STEEL_DEFAULTS = {
+    lengthLabel: 'Geo',
+    washerPolicy: (rimWasherPolicy) => ({ policy: rimWasherPolicy, addWashers: rimWasherPolicy !== 'Not Compatible' }),
+    correctLengths: ({ metalLengthL, metalLengthR }) => ({ left: metalLengthL, right: metalLengthR }),
+    // Round up to the nearest even number
+    rounding: { stepMm: 2, direction: 'up', offsetMm: 0 },
+    elongationModel: 'material',
+    inventoryColor: (selectedColor) => selectedColor,
+    validatesLacing: true
+};
+
+/**
+Adds (or replaces) a spoke family. Anything not declared behaves like steel.
+@param {string} group - The `spoke_model_group` value that selects this family (case-insensitive).
+@param {object} definition - See the header above.
+*/
+export function registerSpokeFamily(group, definition) {
+    families.set(group.toLowerCase(), { ...STEEL_DEFAULTS, ...definition, group });
+}
+
+export function resolveSpokeFamily({ modelGroup, vendor, title }) {
+    const group = (modelGroup || '').toString().trim().toLowerCase();
+    if (group && families.has(group)) return families.get(group);
+
+    // Products set up before the registry: Berd was detected by vendor, PolylightX by name.
+    if (vendor === 'Berd') {
+        const isPolylightX = group.includes('polylightx') || (title || '').toLowerCase().includes('polylightx');
+        return families.get(isPolylightX ? 'berd polylightx' : 'berd polylight');
+    }
+    return families.get('steel');
+}
+
+registerSpokeFamily('Steel', { label: 'Steel' });
+
+const berdFamily = (isPolylightX) => ({
+    label: isPolylightX ? 'Berd PolylightX' : 'Berd Polylight',
+    lengthLabel: 'Raw BERD',
+    // Berd spokes always seat on washers, whatever the rim's own policy says
+    washerPolicy: () => ({ policy: 'Mandatory (Berd)', addWashers: true }),
+    correctLengths: ({ metalLengthL, metalLengthR, hubType, flangeL, flangeR }) => {
+        const berdContext = { flangeL, flangeR, metalLengthL, metalLengthR };
+        return {
+            left: calculateBerdFinalLength(metalLengthL, hubType, true, berdContext),
+            right: calculateBerdFinalLength(metalLengthR, hubType, false, berdContext)
+        };
+    },
+    // Berd recommends +1mm for PolylightX, even with a puller; standard Polylight takes -2mm for the spoke puller tool
+    rounding: { stepMm: 1, direction: 'nearest', offsetMm: isPolylightX ? 1 : -2 },
+    elongationModel: null,
+    // Colors other than black and white are pulled from white stock
+    inventoryColor: (selectedColor) => (selectedColor === 'Black Berd' || selectedColor === 'White Berd') ? selectedColor : 'White Berd',
+    // Berd builds were never rejected for their cross pattern; keep it that way until the check is verified for them
+    validatesLacing: false
+});
+
+registerSpokeFamily('Berd Polylight', berdFamily(false));
+registerSpokeFamily('Berd PolylightX', berdFamily(true));
@@ -0,0 +1,103 @@
+// File: /_lib/spokeMaterial.js
+
+// --- Spoke Material & Butting Profile ---
+// Elongation depends on what the spoke is made of and how thick it is along its length.
+// Both come from spoke product metafields:
+//   spoke_material        'Steel' | 'Stainless Steel' | 'Titanium' | 'Aluminum'
+//   spoke_modulus_gpa     explicit Young's modulus, beats the material table
+//   spoke_butting_profile JSON array of segments from head to thread, e.g. a double-butted 2.0/1.8/2.0:
+//                         [{ "length": 40, "diameter": 2.0 }, { "diameter": 1.8 }, { "length": 25, "diameter": 2.0 }]
+//                         or a bladed (CX-Ray style) middle section:
+//                         [{ "length": 40, "diameter": 2.0 }, { "width": 2.3, "thickness": 0.9 }, { "length": 25, "diameter": 2.0 }]
+// The segment without a length takes whatever is left of the spoke. Without a profile the
+// single `spoke_cross_section_area_mm2` is used for the whole length, as before.
+
+export const MATERIAL_KEY = 'spoke_material';
+export const MODULUS_KEY = 'spoke_modulus_gpa';
+export const BUTTING_PROFILE_KEY = 'spoke_butting_profile';
+
+const MODULUS_BY_MATERIAL_GPA = {
+    'steel': 210,
+    'stainless steel': 193,
+    'titanium': 110,
+    'aluminum': 70
+};
+
+export function resolveModulus(materialValue, modulusValue) {
+    const explicit = parseFloat(modulusValue);
+    const material = (materialValue || 'Steel').toString().trim();
+    if (!isNaN(explicit) && explicit > 0) {
+        return { material, modulusGpa: explicit };
+    }
+    return { material, modulusGpa: MODULUS_BY_MATERIAL_GPA[material.toLowerCase()] ?? MODULUS_BY_MATERIAL_GPA.steel };
+}
+
+// Round sections use the diameter; bladed sections are treated as an ellipse of width x thickness.
+function segmentArea(segment) {
+    if (segment.area > 0) return segment.area;
+    if (segment.width > 0 && segment.thickness > 0) return Math.PI * segment.width * segment.thickness / 4;
+    if (segment.diameter > 0) return Math.PI * Math.pow(segment.diameter, 2) / 4;
+    return null;
+}
+
+/**
+Parses the butting profile metafield into segments with a cross-section area.
+@param {string|Array} value - The raw metafield value.
+@returns {object|null} { segments: [{ length|null, area, bladed }] } or { error }, null when no profile is set.
+*/
+export function parseButtingProfile(value) {
+    if (!value) return null;
+    let raw;
+    try {
+        raw = typeof value === 'string' ? JSON.parse(value) : value;
+    } catch (error) {
+        return { error: `spoke_butting_profile is not valid JSON: ${error.message}` };
+    }
+    if (!Array.isArray(raw) || raw.length === 0) {
+        return { error: 'spoke_butting_profile must be a non-empty array of segments.' };
+    }
+
+    const segments = [];
+    for (const item of raw) {
+        const segment = {
+            length: item.length === undefined || item.length === null ? null : parseFloat(item.length),
+            diameter: parseFloat(item.diameter),
+            width: parseFloat(item.width),
+            thickness: parseFloat(item.thickness),
+            area: parseFloat(item.area)
+        };
+        const area = segmentArea(segment);
+        if (!area || (segment.length !== null && (isNaN(segment.length) || segment.length < 0))) {
+            return { error: `spoke_butting_profile has an invalid segment: ${JSON.stringify(item)}` };
+        }
+        segments.push({ length: segment.length, area, bladed: segment.width > 0 && segment.thickness > 0 });
+    }
+    if (segments.filter(segment => segment.length === null).length > 1) {
+        return { error: 'spoke_butting_profile may leave only one segment without a length.' };
+    }
+    return { segments };
+}
+
+/**
+Lays the profile out along a spoke of the given length.
+The open segment (or the last one, if every segment has a length) absorbs the difference.
+@returns {Array} [{ length, area }] summing to spokeLength.
+*/
+export function layoutSegments(profile, spokeLength) {
+    const segments = profile.segments.map(segment => ({ ...segment }));
+    let openIndex = segments.findIndex(segment => segment.length === null);
+    if (openIndex === -1) openIndex = segments.length - 1;
+
+    const fixed = segments.reduce((sum, segment, index) => index === openIndex ? sum : sum + segment.length, 0);
+    segments[openIndex].length = Math.max(0, spokeLength - fixed);
+    return segments;
+}
+
+export function describeSpokeProfile(material, profile) {
+    const parts = [`${material.material} (${material.modulusGpa} GPa)`];
+    if (profile?.segments) {
+        const bladed = profile.segments.some(segment => segment.bladed);
+        parts.push(`${profile.segments.length}-segment ${bladed ? 'bladed ' : ''}profile`);
+    }
+    return parts.join(', ');
+}
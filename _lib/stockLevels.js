@@ -0,0 +1,39 @@
+// File: /_lib/stockLevels.js
+
+// --- Reorder Threshold Checks ---
+// After every deduction we compare what is left on the shelf with the reorder
+// threshold stored on the spoke variant (or its product) so nobody discovers an
+// empty bin halfway through a build.
+
+export const REORDER_THRESHOLD_KEY = 'spoke_reorder_threshold';
+
+export function getDefaultReorderThreshold() {
+    const value = parseInt(process.env.DEFAULT_SPOKE_REORDER_THRESHOLD, 10);
+    return isNaN(value) ? 0 : value;
+}
+
+/**
+Decides whether a deduction should raise a stock alert.
+A deduction that empties the variant or leaves it negative always alerts, whatever the
+threshold. LOW only fires on the deduction that crosses the threshold, so a variant sitting
+below it does not send an email with every order.
+@param {object} params - { quantityAfter, delta, threshold }
+@returns {object|null} { level: 'LOW'|'OUT'|'NEGATIVE', quantityAfter, threshold, message } or null.
+*/
+export function evaluateStockLevel({ quantityAfter, delta, threshold }) {
+    if (quantityAfter === null || quantityAfter === undefined || delta >= 0) return null;
+
+    const limit = threshold ?? getDefaultReorderThreshold();
+    const quantityBefore = quantityAfter - delta;
+
+    if (quantityAfter < 0) {
+        return { level: 'NEGATIVE', quantityAfter, threshold: limit, message: `NEGATIVE STOCK: ${quantityAfter} on hand` };
+    }
+    if (quantityAfter === 0) {
+        return { level: 'OUT', quantityAfter, threshold: limit, message: 'OUT OF STOCK: 0 left' };
+    }
+    if (quantityBefore > limit && quantityAfter <= limit) {
+        return { level: 'LOW', quantityAfter, threshold: limit, message: `LOW STOCK: ${quantityAfter} left (reorder at ${limit})` };
+    }
+    return null;
+}
@@ -0,0 +1,34 @@
+// File: /api/dry-run.js
+
+import { fetchOrder, dryRunOrderCreate } from './index.js';
+import { allowCors, authorizeInternalRequest } from '../_lib/internalApi.js';
+
+// --- Dry Run / Replay ---
+// Shows what orders/create would do for an order without touching Shopify or sending email.
+// POST either { "orderId": 5551234 } to replay an existing order, or a raw order webhook payload
+// (optionally wrapped as { "order": {...} }). Returns the build reports, the note, the builder
+// emails and the inventory mutation inputs that would be sent.
+async function handler(req, res) {
+    if (!authorizeInternalRequest(req, res)) return;
+
+    try {
+        const body = req.body || {};
+        const orderData = body.orderId ? await fetchOrder(body.orderId) : (body.order ?? body);
+
+        if (!orderData || !Array.isArray(orderData.line_items)) {
+            return res.status(400).json({ error: 'Send an orderId or an order payload with line_items.' });
+        }
+
+        const result = await dryRunOrderCreate(orderData);
+        if (result.builds.length === 0) {
+            return res.status(200).json({ ...result, message: 'No custom wheel build found in this order.' });
+        }
+        return res.status(200).json(result);
+
+    } catch (e) {
+        console.error("Dry Run API Error:", e);
+        return res.status(500).json({ error: e.message });
+    }
+}
+
+export default allowCors(handler);
@@ -3,12 +3,117 @@ import { createHmac } from 'crypto';
 import { Resend } from 'resend';
 
 import {
-    applyRounding,
     calculateElongation,
     calculateSpokeLength,
     isLacingPossible,
-    calculateBerdFinalLength
+    getSpokeDistribution,
+    calculateTensionBalance,
+    calculateSegmentedElongation,
+    calculateIdealTensionedLength,
+    calculateNippleEngagement,
+    checkSpokeInterference,
+    resolveInterferenceCross,
+    applyRoundingPolicy
 } from '../_lib/calculator.js';
+import {
+    getEventStore,
+    claimWebhook,
+    completeWebhook,
+    releaseWebhook,
+    openOrderProcessing,
+    acquireClaim
+} from '../_lib/eventStore.js';
+import {
+    LEDGER_NAMESPACE,
+    LEDGER_KEY,
+    createLedger,
+    addLedgerEntry,
+    getOpenEntries,
+    markEntryReversed,
+    markEntryConsumed,
+    markEntrySuperseded,
+    fingerprintRecipe,
+    recordLedgerBuild,
+    recordRefundedBuilds,
+    openBuildQuantity,
+    getLedgerBuild,
+    splitLedgerEntry,
+    diffLedgerEntries,
+    entrySlot,
+    parseLedger,
+    serializeLedger
+} from '../_lib/ledger.js';
+import { REORDER_THRESHOLD_KEY, evaluateStockLevel } from '../_lib/stockLevels.js';
+import {
+    FALLBACK_TOLERANCE_KEY,
+    FALLBACK_DIRECTION_KEY,
+    parseFallbackPolicy,
+    describeFallbackPolicy,
+    selectFallbackLength
+} from '../_lib/lengthFallback.js';
+import {
+    MATERIAL_KEY,
+    MODULUS_KEY,
+    BUTTING_PROFILE_KEY,
+    resolveModulus,
+    parseButtingProfile,
+    layoutSegments,
+    describeSpokeProfile
+} from '../_lib/spokeMaterial.js';
+import {
+    NIPPLE_LENGTH_KEY,
+    THREAD_LENGTH_KEY,
+    RIM_INTERNAL_HEIGHT_KEY,
+    DEFAULT_NIPPLE_LENGTH_MM,
+    DEFAULT_THREAD_LENGTH_MM,
+    getEngagementLimits,
+    evaluateEngagement
+} from '../_lib/nippleEngagement.js';
+import { resolveSpokeFamily } from '../_lib/spokeFamilies.js';
+import {
+    ROUNDING_STEP_KEY,
+    ROUNDING_DIRECTION_KEY,
+    ROUNDING_OFFSET_KEY,
+    MIN_LENGTH_KEY,
+    MAX_LENGTH_KEY,
+    parseRoundingPolicy,
+    describeRoundingPolicy,
+    checkStockedRange
+} from '../_lib/roundingPolicy.js';
+import {
+    CUT_TO_LENGTH_KEY,
+    MAX_CUT_KEY,
+    parseCutPolicy,
+    selectBlank,
+    buildCutList,
+    cutListToCsv
+} from '../_lib/cutList.js';
+import {
+    WASHER_VARIANT_KEY,
+    HARDWARE_COMPONENTS,
+    hardwareLabel,
+    isWasherMandatory,
+    matchVariantsByOptions
+} from '../_lib/hardware.js';
+import { inventoryChangeKey, mergeInventoryChanges, applyAllOrNothing, describeBatchOutcome } from '../_lib/inventoryBatch.js';
+import { SPARE_POLICY_KEY, parseSparePolicy, sparesForSide, describeSparePolicy } from '../_lib/sparePolicy.js';
+import {
+    INVENTORY_MODE_RESERVE,
+    RESERVED_STATE,
+    INVENTORY_REASONS,
+    parseInventoryMode,
+    isReservedEntry,
+    reservationReason
+} from '../_lib/reservations.js';
+import {
+    LOCATION_STRATEGY_PRIMARY,
+    LOCATION_STRATEGY_FULFILLMENT_ORDER,
+    LOCATION_STRATEGY_RANKED,
+    parseLocationStrategy,
+    parseLocationRanking,
+    toLocationGid,
+    hasStockFor
+} from '../_lib/locationStrategy.js';
 
 // --- Vercel Config ---
 export const config = { api: { bodyParser: false } };
@@ -21,7 +126,19 @@ async function getRawBody(req) {
   return Buffer.concat(chunks);
 }
 
-async function shopifyAdminApiQuery(query, variables, retries = 3, delay = 500) {
+// Errors that prove Shopify did not execute the request, so sending it again is safe
+function notExecutedError(message) {
+    return Object.assign(new Error(message), { notExecuted: true });
+}
+
+// Another invocation got to the same order first. The webhook answers 409, so Shopify retries later.
+function conflictError(message) {
+    return Object.assign(new Error(message), { conflict: true });
+}
+
+// Inventory mutations pass { resendUnanswered: false }: a request that got no usable answer may
+// still have been applied, and sending it again would adjust the stock twice.
+async function shopifyAdminApiQuery(query, variables, retries = 3, delay = 500, { resendUnanswered = true } = {}) {
     const storeDomain = process.env.SHOPIFY_STORE_DOMAIN;
     const apiToken = process.env.SHOPIFY_ADMIN_API_TOKEN;
     const url = `https://${storeDomain}/admin/api/2024-07/graphql.json`;
@@ -39,7 +156,10 @@ async function shopifyAdminApiQuery(query, variables, retries = 3, delay = 500)
 
             // 1. Handle HTTP Level Errors (e.g., 429 Rate Limit or 500 Server Error)
             if (!response.ok) {
-                if (response.status === 429 || response.status >= 500) {
+                if (response.status === 429) {
+                    throw notExecutedError(`HTTP Error ${response.status}`);
+                }
+                if (response.status >= 500) {
                     throw new Error(`HTTP Error ${response.status}`);
                 }
             }
@@ -49,15 +169,20 @@ async function shopifyAdminApiQuery(query, variables, retries = 3, delay = 500)
             // 2. Handle GraphQL Level Errors (e.g., Throttling)
             if (result.errors) {
                  const isThrottled = result.errors.some(e => e.message && e.message.includes('Throttled'));
-                 if (isThrottled) throw new Error('GraphQL Throttled');
+                 if (isThrottled) throw notExecutedError('GraphQL Throttled');
                  
-                 throw new Error(`Shopify GraphQL Error: ${JSON.stringify(result.errors)}`);
+                 throw notExecutedError(`Shopify GraphQL Error: ${JSON.stringify(result.errors)}`);
             }
             
             return result.data;
 
         } catch (error) {
             console.warn(`⚠️ Shopify API Attempt ${i + 1} failed: ${error.message}`);
+
+            if (!resendUnanswered && !error.notExecuted) {
+                error.outcomeUnknown = true;
+                throw error;
+            }
             
             // If this was the last attempt, stop trying and throw the error to the main log
             if (i === retries - 1) throw error; 
@@ -135,6 +260,20 @@ async function fetchComponentData(buildRecipe) {
 
 // --- CACHING LOGIC START ---
 const variantCache = new Map();
+// Available quantity of a product's variants at one location, keyed "productId|locationGid"
+const locationStockCache = new Map();
+
+// Option names used to identify a spoke variant; configurable for products that label them differently.
+const LENGTH_OPTION_NAME = process.env.SPOKE_LENGTH_OPTION_NAME || 'Length';
+const COLOR_OPTION_NAME = process.env.SPOKE_COLOR_OPTION_NAME || 'Color';
+
+// Spare spokes pulled for lacing breakage when the spoke product sets no `spoke_spare_policy`, e.g. "+1 per side"
+const DEFAULT_SPARE_SPOKE_POLICY = process.env.DEFAULT_SPARE_SPOKE_POLICY || 'None';
+// Deduct at order creation, or Reserve and consume on fulfillment (see reservations.js)
+const SPOKE_INVENTORY_MODE = parseInventoryMode(process.env.SPOKE_INVENTORY_MODE);
+// Where each wheel's stock is taken from (see locationStrategy.js)
+const SPOKE_LOCATION_STRATEGY = parseLocationStrategy(process.env.SPOKE_LOCATION_STRATEGY);
+const SPOKE_LOCATION_RANKING = parseLocationRanking(process.env.SPOKE_LOCATION_RANKING);
 
 async function getVariantsCached(productId) {
     // If we already fetched this product in this request, return it immediately
@@ -143,81 +282,328 @@ async function getVariantsCached(productId) {
         return variantCache.get(productId);
     }
     
-    // Otherwise, ask Shopify
+    // Otherwise, ask Shopify (paging through every variant, not just the first 250).
+    // The in-flight promise is cached so parallel left/right lookups share one fetch.
+    const request = fetchAllVariants(productId);
+    variantCache.set(productId, request);
+    return request;
+}
+
+async function fetchAllVariants(productId) {
     console.log(`🌐 Fetching variants from API for product ${productId}`);
     const query = `
-      query getProductVariants($id: ID!) {
+      query getProductVariants($id: ID!, $after: String) {
         product(id: $id) {
-          variants(first: 250) {
+          reorderThreshold: metafield(namespace: "custom", key: "${REORDER_THRESHOLD_KEY}") { value }
+          variants(first: 250, after: $after) {
+            pageInfo { hasNextPage endCursor }
             nodes {
               id
               title
+              inventoryQuantity
+              selectedOptions { name value }
               inventoryItem { id }
+              reorderThreshold: metafield(namespace: "custom", key: "${REORDER_THRESHOLD_KEY}") { value }
             }
           }
         }
       }
     `;
     try {
-        const data = await shopifyAdminApiQuery(query, { id: productId });
-        const variants = data.product.variants.nodes;
-        variantCache.set(productId, variants); // Save to cache
+        const variants = [];
+        let productThreshold = NaN;
+        let after = null;
+
+        do {
+            const data = await shopifyAdminApiQuery(query, { id: productId, after });
+            productThreshold = parseInt(data.product.reorderThreshold?.value, 10);
+            data.product.variants.nodes.forEach(v => {
+                // Variant threshold wins, then the product's, then the global default
+                const variantThreshold = parseInt(v.reorderThreshold?.value, 10);
+                const threshold = !isNaN(variantThreshold) ? variantThreshold : (!isNaN(productThreshold) ? productThreshold : null);
+                variants.push({ ...v, reorderThreshold: threshold, ...readSpokeOptions(v) });
+            });
+            const pageInfo = data.product.variants.pageInfo;
+            after = pageInfo?.hasNextPage ? pageInfo.endCursor : null;
+        } while (after);
+
         return variants;
     } catch (error) {
         console.error(`Error fetching variants for ${productId}:`, error);
+        variantCache.delete(productId); // Don't cache failures
         return [];
     }
 }
 
+/**
+Reads the available quantity of every variant of a product at one location, so fallback lengths
+and blanks are chosen from the shelf the wheel is pulled from rather than the all-location total.
+@returns {Promise<Map|null>} inventoryItemId -> available, or null when the lookup failed.
+*/
+async function getLocationStockCached(productId, locationId) {
+    const key = `${productId}|${locationId}`;
+    if (!locationStockCache.has(key)) {
+        const request = getVariantsCached(productId)
+            .then(variants => fetchLocationStock(variants.map(v => v.inventoryItem.id), locationId))
+            .then(stock => {
+                if (!stock) locationStockCache.delete(key); // Don't cache failures
+                return stock;
+            });
+        locationStockCache.set(key, request);
+    }
+    return locationStockCache.get(key);
+}
+
+// Reads the Length (as a number of mm) and Color option values off a variant.
+function readSpokeOptions(variant) {
+    const option = (name) => variant.selectedOptions?.find(opt => opt.name.toLowerCase() === name.toLowerCase())?.value;
+    const lengthMatch = (option(LENGTH_OPTION_NAME) || '').match(/^\s*(\d+(?:\.\d+)?)\s*(?:mm)?\s*$/i);
+    const color = option(COLOR_OPTION_NAME);
+    return {
+        optionLength: lengthMatch ? parseFloat(lengthMatch[1]) : null,
+        optionColor: color ? color.trim() : null
+    };
+}
+
+function isSameColor(variant, color) {
+    return variant.optionColor !== null && variant.optionColor.toLowerCase() === String(color).trim().toLowerCase();
+}
+
+/**
+Finds the one variant whose Length and Color options exactly equal the request.
+@returns {Promise<object>} { variant } on a unique match, otherwise { variant: null, error } where error is a report-ready message.
+*/
 async function findVariantForLengthAndColor(productId, length, color) {
     // We now use the Cached helper instead of a raw query
     const variants = await getVariantsCached(productId);
-    const targetLengthStr = `${length}mm`;
+    const targetLength = parseFloat(length);
     
     // Search the list we already downloaded
-    const variant = variants.find(v => 
-        v.title.includes(color) && v.title.includes(targetLengthStr)
-    );
+    const matches = variants.filter(v => v.optionLength === targetLength && isSameColor(v, color));
     
-    if (variant) {
-        return { variantId: variant.id, inventoryItemId: variant.inventoryItem.id };
+    if (matches.length === 1) {
+        return { variant: toVariantResult(matches[0]) };
     }
-    console.warn(`Could not find variant for product ${productId} with color "${color}" and length "${targetLengthStr}"`);
-    return null;
+    if (matches.length > 1) {
+        console.error(`🚨 ${matches.length} variants of product ${productId} match ${COLOR_OPTION_NAME} "${color}" and ${LENGTH_OPTION_NAME} "${length}mm": ${matches.map(v => v.id).join(', ')}`);
+        return { variant: null, error: `ACTION REQUIRED: ${matches.length} variants match ${length}mm ${color}!` };
+    }
+    console.warn(`Could not find variant for product ${productId} with ${COLOR_OPTION_NAME} "${color}" and ${LENGTH_OPTION_NAME} "${length}mm"`);
+    return { variant: null, error: "ACTION REQUIRED: Variant not found!" };
+}
+
+function toVariantResult(variant) {
+    return {
+        variantId: variant.id,
+        inventoryItemId: variant.inventoryItem.id,
+        inventoryQuantity: variant.inventoryQuantity,
+        reorderThreshold: variant.reorderThreshold
+    };
+}
+
+/**
+Finds the variant to deduct for one side, substituting the nearest allowed length
+when the exact one is missing or cannot cover the quantity at the given location.
+@param {string} locationId - Location GID the side is pulled from; stock is read there.
+@returns {Promise<object>} { variant, length, substitution, cut } where length is what will actually be pulled
+(or cut to, when `cut` names the blank being deducted) and variant.available is its stock at the location.
+*/
+async function resolveSpokeVariant(spokeSource, length, quantity, locationId) {
+    const { productId, inventoryColor, fallbackPolicy, cutPolicy } = spokeSource;
+
+    // Without a per-location reading, fall back to the all-location total
+    const stock = await getLocationStockCached(productId, locationId);
+    const availableOf = (inventoryItemId, totalQuantity) => stock ? (stock.get(inventoryItemId) ?? 0) : totalQuantity;
+    const withAvailable = (variant) => ({ ...toVariantResult(variant), available: availableOf(variant.inventoryItem.id, variant.inventoryQuantity) });
+
+    // Cut-to-length products stock blanks: deduct the shortest blank that can be cut down
+    if (cutPolicy) {
+        const blanks = (await getVariantsCached(productId)).filter(v => v.optionLength !== null && isSameColor(v, inventoryColor));
+        const candidates = blanks
+            .filter(v => blanks.filter(other => other.optionLength === v.optionLength).length === 1)
+            .map(v => ({ length: v.optionLength, available: availableOf(v.inventoryItem.id, v.inventoryQuantity), variant: v }));
+        const blank = selectBlank(length, candidates, quantity, cutPolicy);
+        if (!blank) {
+            return { variant: null, length, substitution: null, cut: null, error: `ACTION REQUIRED: No ${inventoryColor} blank can be cut to ${length}mm!` };
+        }
+        // A blank that is already the target length goes out as-is
+        const cut = blank.length > length ? { blankLength: blank.length, targetLength: length } : null;
+        return { variant: withAvailable(blank.variant), length, substitution: null, cut };
+    }
+
+    const { variant: exact, error } = await findVariantForLengthAndColor(productId, length, inventoryColor);
+    const variant = exact && { ...exact, available: availableOf(exact.inventoryItemId, exact.inventoryQuantity) };
+
+    const exactIsShort = variant && variant.available !== null && variant.available !== undefined && variant.available < quantity;
+    if (!fallbackPolicy || fallbackPolicy.toleranceMm <= 0 || (variant && !exactIsShort)) {
+        return { variant, length, substitution: null, error };
+    }
+
+    // Lengths offered by more than one variant of this color are ambiguous and never substituted
+    const variants = (await getVariantsCached(productId)).filter(v => v.optionLength !== null && isSameColor(v, inventoryColor));
+    const candidates = variants
+        .filter(v => variants.filter(other => other.optionLength === v.optionLength).length === 1)
+        .map(v => ({ length: v.optionLength, available: availableOf(v.inventoryItem.id, v.inventoryQuantity), variant: v }));
+
+    const choice = selectFallbackLength(length, candidates, quantity, fallbackPolicy);
+    if (!choice) {
+        return { variant, length, substitution: null, error };
+    }
+
+    const reason = variant
+        ? `${length}mm has only ${variant.available} in stock`
+        : `${length}mm variant not found`;
+    console.warn(`⚠️ Substituting ${choice.length}mm for ${length}mm (${inventoryColor}): ${reason}.`);
+
+    return {
+        variant: withAvailable(choice.variant),
+        length: choice.length,
+        substitution: { calculatedLength: length, substitutedLength: choice.length, reason, policy: describeFallbackPolicy(fallbackPolicy) }
+    };
 }
 // --- CACHING LOGIC END ---
 
-async function adjustInventory(inventoryItemId, quantityDelta, locationId, orderGid) {
+// Input for inventoryAdjustQuantities. Quantities other than `available` must name the document they belong to.
+function inventoryAdjustInput(changes, orderGid, { name = 'available', reason = INVENTORY_REASONS.deduct } = {}) {
+    return {
+        name,
+        reason,
+        changes: changes.map(change => ({
+            delta: change.delta,
+            inventoryItemId: change.inventoryItemId,
+            locationId: change.locationId,
+            ...(name !== 'available' && { ledgerDocumentUri: orderGid })
+        })),
+        referenceDocumentUri: orderGid
+    };
+}
+
+// Input for inventoryMoveQuantities (see moveReservedQuantities).
+function inventoryMoveInput(changes, orderGid) {
+    const available = (locationId) => ({ locationId, name: 'available' });
+    const reserved = (locationId) => ({ locationId, name: RESERVED_STATE, ledgerDocumentUri: orderGid });
+    return {
+        reason: reservationReason(changes),
+        referenceDocumentUri: orderGid,
+        changes: changes.map(change => ({
+            inventoryItemId: change.inventoryItemId,
+            quantity: Math.abs(change.delta),
+            from: change.delta < 0 ? available(change.locationId) : reserved(change.locationId),
+            to: change.delta < 0 ? reserved(change.locationId) : available(change.locationId)
+        }))
+    };
+}
+
+/**
+Sends inventory changes to Shopify as a single inventoryAdjustQuantities call (applied atomically).
+@param {Array} changes - [{ inventoryItemId, locationId, delta }]
+@param {object} options - { name: quantity to adjust ('available' or 'reserved'), reason }
+@returns {Promise<Map|null>} quantity after the change per "inventoryItemId|locationId", or null when Shopify
+rejected the changes. Throws when Shopify never answered (the outcome is unknown); the call is not re-sent.
+*/
+async function adjustInventoryQuantities(changes, orderGid, { name = 'available', reason = INVENTORY_REASONS.deduct } = {}) {
     const mutation = `
         mutation inventoryAdjustQuantities($input: InventoryAdjustQuantitiesInput!) {
             inventoryAdjustQuantities(input: $input) {
-                inventoryAdjustmentGroup { id }
+                inventoryAdjustmentGroup {
+                    id
+                    changes { name delta quantityAfterChange item { id } location { id } }
+                }
                 userErrors { field message }
             }
         }
     `;
     try {
-        const data = await shopifyAdminApiQuery(mutation, {
-            input: {
-                name: "available",
-                reason: "correction", 
-                changes: [{
-                    delta: quantityDelta,
-                    inventoryItemId: inventoryItemId,
-                    locationId: locationId
-                }],
-                referenceDocumentUri: orderGid 
-            }
-        });
+        const data = await shopifyAdminApiQuery(mutation, { input: inventoryAdjustInput(changes, orderGid, { name, reason }) }, 3, 500, { resendUnanswered: false });
         if (data.inventoryAdjustQuantities.userErrors.length > 0) {
             throw new Error(JSON.stringify(data.inventoryAdjustQuantities.userErrors));
         }
-        console.log(`✅ Successfully adjusted inventory for ${inventoryItemId} by ${quantityDelta}.`);
-        return true;
+        const applied = data.inventoryAdjustQuantities.inventoryAdjustmentGroup?.changes || [];
+        const quantitiesAfter = new Map();
+        for (const change of changes) {
+            const result = applied.find(c => c.name === name && c.item?.id === change.inventoryItemId && (!c.location || c.location.id === change.locationId));
+            quantitiesAfter.set(inventoryChangeKey(change), result?.quantityAfterChange ?? null);
+        }
+        console.log(`✅ Successfully adjusted ${name} inventory: ${changes.map(change => `${change.inventoryItemId} by ${change.delta}`).join(', ')}.`);
+        return quantitiesAfter;
+    } catch (error) {
+        if (error.outcomeUnknown) {
+            console.error(`🚨 No answer from Shopify adjusting inventory for ${changes.map(change => change.inventoryItemId).join(', ')}. It may have been applied:`, error);
+            throw error;
+        }
+        console.error(`🚨 Failed to adjust inventory for ${changes.map(change => change.inventoryItemId).join(', ')}:`, error);
+        return null;
+    }
+}
+
+/**
+Moves quantities between `available` and `reserved` in a single inventoryMoveQuantities call.
+A negative delta reserves (available -> reserved), a positive one releases (reserved -> available),
+so a change and its reversal use the same shape as adjustInventoryQuantities.
+@param {Array} changes - [{ inventoryItemId, locationId, delta }]
+@returns {Promise<Map|null>} available quantity after the move per "inventoryItemId|locationId", or null when
+Shopify rejected the move. Throws when the outcome is unknown, like adjustInventoryQuantities.
+*/
+async function moveReservedQuantities(changes, orderGid) {
+    const mutation = `
+        mutation inventoryMoveQuantities($input: InventoryMoveQuantitiesInput!) {
+            inventoryMoveQuantities(input: $input) {
+                inventoryAdjustmentGroup {
+                    id
+                    changes { name delta quantityAfterChange item { id } location { id } }
+                }
+                userErrors { field message }
+            }
+        }
+    `;
+    try {
+        const data = await shopifyAdminApiQuery(mutation, { input: inventoryMoveInput(changes, orderGid) }, 3, 500, { resendUnanswered: false });
+        if (data.inventoryMoveQuantities.userErrors.length > 0) {
+            throw new Error(JSON.stringify(data.inventoryMoveQuantities.userErrors));
+        }
+        const applied = data.inventoryMoveQuantities.inventoryAdjustmentGroup?.changes || [];
+        const quantitiesAfter = new Map();
+        for (const change of changes) {
+            const result = applied.find(c => c.name === 'available' && c.item?.id === change.inventoryItemId && (!c.location || c.location.id === change.locationId));
+            quantitiesAfter.set(inventoryChangeKey(change), result?.quantityAfterChange ?? null);
+        }
+        console.log(`✅ Successfully moved reserved inventory: ${changes.map(change => `${change.inventoryItemId} by ${change.delta}`).join(', ')}.`);
+        return quantitiesAfter;
     } catch (error) {
-        console.error(`🚨 Failed to adjust inventory for ${inventoryItemId}:`, error);
-        return false;
+        if (error.outcomeUnknown) {
+            console.error(`🚨 No answer from Shopify moving reserved inventory for ${changes.map(change => change.inventoryItemId).join(', ')}. It may have been applied:`, error);
+            throw error;
+        }
+        console.error(`🚨 Failed to move reserved inventory for ${changes.map(change => change.inventoryItemId).join(', ')}:`, error);
+        return null;
+    }
+}
+
+// Reserved entries move between available and reserved; everything else adjusts available.
+function applyInventoryChanges(changes, orderGid, state) {
+    return state === RESERVED_STATE
+        ? moveReservedQuantities(changes, orderGid)
+        : adjustInventoryQuantities(changes, orderGid);
+}
+
+async function adjustInventory(inventoryItemId, quantityDelta, locationId, orderGid) {
+    const quantitiesAfter = await adjustInventoryQuantities([{ inventoryItemId, delta: quantityDelta, locationId }], orderGid);
+    if (!quantitiesAfter) return null;
+    return { quantityAfterChange: quantitiesAfter.get(inventoryChangeKey({ inventoryItemId, locationId })) };
+}
+
+// Webhooks like orders/edited only carry IDs, so the full order (same shape as the webhook payload) comes from REST.
+export async function fetchOrder(orderId) {
+    const storeDomain = process.env.SHOPIFY_STORE_DOMAIN;
+    const apiToken = process.env.SHOPIFY_ADMIN_API_TOKEN;
+    const url = `https://${storeDomain}/admin/api/2024-07/orders/${orderId}.json`;
+
+    const response = await fetch(url, { headers: { 'X-Shopify-Access-Token': apiToken } });
+    if (!response.ok) {
+        throw Object.assign(new Error(`Failed to fetch order ${orderId}: HTTP Error ${response.status}`), { status: response.status });
     }
+    const { order } = await response.json();
+    return order;
 }
 
 async function addNoteToOrder(orderGid, note) {
@@ -228,6 +614,93 @@ async function addNoteToOrder(orderGid, note) {
     } catch (error) { console.error("🚨 Failed to add note to order:", error); }
 }
 
+function appendToNote(existingNote, addition) {
+    if (!existingNote) return addition;
+    return existingNote + "\n\n--------------------------------------------------\n\n" + addition;
+}
+
+/**
+Runs fn while holding the order's ledger claim, so creation, cancellation, refunds, fulfillment,
+edits and admin recalculations of one order never read and write its ledger at the same time
+(e.g. a refund and a cancellation both restocking the same entries). fn must load the ledger
+itself, after the claim is taken.
+@throws {Error} With `conflict` set when another invocation holds the claim.
+*/
+async function withLedgerClaim(eventStore, orderId, fn) {
+    const release = await acquireClaim(eventStore, `claim:order:${orderId}:ledger`);
+    if (!release) {
+        throw conflictError(`Spoke ledger of order ${orderId} is being updated by another invocation.`);
+    }
+    try {
+        return await fn();
+    } finally {
+        await release();
+    }
+}
+
+// compareDigest of the ledger metafield each loaded ledger was read from, so a save can
+// be refused when someone else wrote the ledger in between (see saveOrderLedger).
+const ledgerDigests = new WeakMap();
+
+async function fetchOrderLedger(orderGid) {
+    const query = `
+        query getOrderLedger($id: ID!) {
+            order(id: $id) {
+                note
+                customAttributes { key value }
+                metafield(namespace: "${LEDGER_NAMESPACE}", key: "${LEDGER_KEY}") { value compareDigest }
+            }
+        }
+    `;
+    try {
+        const data = await shopifyAdminApiQuery(query, { id: orderGid });
+        const ledger = parseLedger(data.order?.metafield?.value);
+        if (ledger && data.order.metafield.compareDigest) ledgerDigests.set(ledger, data.order.metafield.compareDigest);
+        return { ledger, note: data.order?.note ?? null, attributes: data.order?.customAttributes ?? [] };
+    } catch (error) {
+        console.error("🚨 Failed to fetch spoke ledger for order:", error);
+        throw error;
+    }
+}
+
+/**
+Writes the ledger back to the order. A ledger loaded with fetchOrderLedger is only written if the
+metafield is still the version it was read from, so a concurrent update (e.g. a second revision
+moving ledger.revision) is never overwritten.
+@throws {Error} With `conflict` set when the metafield changed since it was read.
+*/
+async function saveOrderLedger(orderGid, ledger) {
+    const mutation = `
+        mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+            metafieldsSet(metafields: $metafields) {
+                metafields { id compareDigest }
+                userErrors { field message code }
+            }
+        }
+    `;
+    const compareDigest = ledgerDigests.get(ledger);
+    const data = await shopifyAdminApiQuery(mutation, {
+        metafields: [{
+            ownerId: orderGid,
+            namespace: LEDGER_NAMESPACE,
+            key: LEDGER_KEY,
+            type: 'json',
+            value: serializeLedger(ledger),
+            ...(compareDigest && { compareDigest })
+        }]
+    });
+    const { userErrors, metafields } = data.metafieldsSet;
+    if (userErrors.some(error => error.code === 'STALE_OBJECT')) {
+        throw conflictError(`Spoke ledger on ${orderGid} was changed by another update since it was read (revision ${ledger.revision || 0}).`);
+    }
+    if (userErrors.length > 0) {
+        throw new Error(`Failed to save spoke ledger: ${JSON.stringify(userErrors)}`);
+    }
+    // Later saves in the same run compare against what was just written
+    if (metafields?.[0]?.compareDigest) ledgerDigests.set(ledger, metafields[0].compareDigest);
+    console.log("✅ Successfully saved spoke ledger to order.");
+}
+
 async function getPrimaryLocationId() {
     // 1. Check for Environment Variable first (FASTEST & SAFEST)
     if (process.env.SHOPIFY_PRIMARY_LOCATION_ID) {
@@ -260,8 +733,7 @@ async function getPrimaryLocationId() {
     }
 }
 
-async function handleOrderCreate(orderData) {
-    // 1. Location ID Check
+async function resolveLocationId(orderData) {
     let locationId = process.env.SHOPIFY_PRIMARY_LOCATION_ID; 
     if (!locationId) {
         if (orderData.location_id) {
@@ -271,227 +743,1525 @@ async function handleOrderCreate(orderData) {
             locationId = await getPrimaryLocationId();
         }
     }
+    return locationId;
+}
+
+async function fetchActiveLocations() {
+    const query = `
+        query getActiveLocations {
+            locations(first: 50, query: "status:active") {
+                nodes { id name }
+            }
+        }
+    `;
+    try {
+        const data = await shopifyAdminApiQuery(query, {});
+        return data.locations?.nodes || [];
+    } catch (error) {
+        console.error("🚨 Failed to fetch active locations:", error);
+        return [];
+    }
+}
+
+/**
+Reads the available quantity of each inventory item at one location.
+@returns {Promise<Map|null>} inventoryItemId -> available (0 when the item is not stocked there), or null on failure.
+*/
+async function fetchLocationStock(inventoryItemIds, locationId) {
+    const query = `
+        query getLocationStock($ids: [ID!]!, $locationId: ID!) {
+            nodes(ids: $ids) {
+                ... on InventoryItem {
+                    id
+                    inventoryLevel(locationId: $locationId) {
+                        quantities(names: ["available"]) { name quantity }
+                    }
+                }
+            }
+        }
+    `;
+    const stock = new Map();
+    try {
+        // Pages of 100 keep each query well inside Shopify's cost limit
+        for (let i = 0; i < inventoryItemIds.length; i += 100) {
+            const data = await shopifyAdminApiQuery(query, { ids: inventoryItemIds.slice(i, i + 100), locationId });
+            for (const item of data.nodes || []) {
+                if (!item) continue;
+                stock.set(item.id, item.inventoryLevel?.quantities.find(q => q.name === 'available')?.quantity ?? 0);
+            }
+        }
+        return stock;
+    } catch (error) {
+        console.error(`🚨 Failed to fetch inventory levels at ${locationId}:`, error);
+        return null;
+    }
+}
+
+// The location Shopify assigned the fulfillment order holding this line item to.
+async function fetchFulfillmentOrderLocation(orderGid, lineItemId) {
+    const query = `
+        query getFulfillmentOrderLocations($id: ID!) {
+            order(id: $id) {
+                fulfillmentOrders(first: 20) {
+                    nodes {
+                        status
+                        assignedLocation { name location { id } }
+                        lineItems(first: 50) { nodes { lineItem { id } } }
+                    }
+                }
+            }
+        }
+    `;
+    try {
+        const data = await shopifyAdminApiQuery(query, { id: orderGid });
+        const lineItemGid = `gid://shopify/LineItem/${lineItemId}`;
+        const fulfillmentOrder = (data.order?.fulfillmentOrders?.nodes || [])
+            .filter(fo => !['CANCELLED', 'CLOSED'].includes(fo.status) && fo.assignedLocation?.location)
+            .find(fo => fo.lineItems.nodes.some(node => node.lineItem?.id === lineItemGid));
+        if (!fulfillmentOrder) return null;
+        return { id: fulfillmentOrder.assignedLocation.location.id, name: fulfillmentOrder.assignedLocation.name };
+    } catch (error) {
+        console.error("🚨 Failed to fetch fulfillment order location:", error);
+        return null;
+    }
+}
+
+/**
+Chooses the location one wheel's spokes, nipples and washers are taken from (see locationStrategy.js)
+and resolves the wheel's spokes against that location's stock.
+@param {Function} resolveAt - async (location GID) => { left, right, covered } (see resolveWheelSpokes).
+@returns {Promise<object>} { location: { id: location GID, name, reason }, resolution } where resolution is what
+resolveAt returned for the chosen location; name and reason are null for the Primary strategy.
+*/
+async function resolveWheelLocation({ orderGid, lineItemId, defaultLocationId, resolveAt }) {
+    const fallback = { id: toLocationGid(defaultLocationId), name: null, reason: null };
+    if (SPOKE_LOCATION_STRATEGY === LOCATION_STRATEGY_PRIMARY) {
+        return { location: fallback, resolution: await resolveAt(fallback.id) };
+    }
+
+    if (SPOKE_LOCATION_STRATEGY === LOCATION_STRATEGY_FULFILLMENT_ORDER) {
+        const assigned = await fetchFulfillmentOrderLocation(orderGid, lineItemId);
+        if (!assigned) {
+            console.warn(`⚠️ No open fulfillment order holds line item ${lineItemId}. Using the default location.`);
+        }
+        const location = assigned
+            ? { ...assigned, reason: 'assigned fulfillment order location' }
+            : { ...fallback, reason: 'no fulfillment order location, default used' };
+        return { location, resolution: await resolveAt(location.id) };
+    }
+
+    const locations = await fetchActiveLocations();
+    const nameOf = (id) => locations.find(location => location.id === id)?.name ?? id;
+    const ranked = SPOKE_LOCATION_STRATEGY === LOCATION_STRATEGY_RANKED;
+    if (ranked && SPOKE_LOCATION_RANKING.length === 0) {
+        console.warn("⚠️ SPOKE_LOCATION_RANKING is empty. Using the default location.");
+    }
+    const candidates = ranked && SPOKE_LOCATION_RANKING.length > 0
+        ? SPOKE_LOCATION_RANKING
+        : [fallback.id, ...locations.map(location => location.id).filter(id => id !== fallback.id)];
+
+    // Each candidate gets its own variant resolution, since a fallback length or blank that
+    // works at one location may not be on the shelf at another
+    let preferred = null;
+    for (const [index, candidate] of candidates.entries()) {
+        const resolution = await resolveAt(candidate);
+        if (resolution.covered) {
+            return { location: { id: candidate, name: nameOf(candidate), reason: ranked ? `ranked #${index + 1}, enough stock for both sides` : 'first location with enough stock for both sides' }, resolution };
+        }
+        preferred = preferred || resolution;
+    }
+
+    // Nowhere covers both sides: take from the preferred location so the shortfall raises a stock alert
+    console.warn(`⚠️ No location has enough stock for line item ${lineItemId}. Using ${nameOf(candidates[0])}.`);
+    return { location: { id: candidates[0], name: nameOf(candidates[0]), reason: 'no location has enough stock for both sides' }, resolution: preferred };
+}
+
+// Order edits zero out removed line items rather than deleting them
+function lineItemQuantity(item) {
+    return item.current_quantity ?? item.quantity ?? 1;
+}
+
+// Refunds lower current_quantity as well, but refunded builds are restocked (or kept) by
+// refunds/create. Edits and revisions work on the quantity left after edits, before refunds.
+function orderedQuantity(orderData, item) {
+    const refunded = (orderData.refunds || [])
+        .flatMap(refund => refund.refund_line_items || [])
+        .filter(refundLine => String(refundLine.line_item_id) === String(item.id))
+        .reduce((total, refundLine) => total + (refundLine.quantity || 0), 0);
+    return lineItemQuantity(item) + refunded;
+}
+
+function isWheelBuildLineItem(item) {
+    return Boolean(item.properties?.some(p => p.name === '_is_custom_wheel_build' && p.value === 'true'));
+}
+
+function findWheelBuildLineItems(orderData) {
+    return orderData.line_items.filter(item => isWheelBuildLineItem(item) && orderedQuantity(orderData, item) > 0);
+}
+
+// Identifies a build in notes and emails when an order carries more than one (or more than one of it).
+function describeBuildLineItem(lineItem, buildRecipe, buildLineItems) {
+    return {
+        id: lineItem.id,
+        buildId: buildRecipe.buildId,
+        quantity: lineItemQuantity(lineItem),
+        index: buildLineItems.findIndex(item => item.id === lineItem.id) + 1,
+        count: buildLineItems.length
+    };
+}
+
+// Works out which spoke product and inventory color a wheel draws from.
+function resolveSpokeSource(buildRecipe, componentData, position) {
+    const spokeComponent = buildRecipe.components[`${position}Spokes`];
+
+    // --- SMART PRODUCT ID FINDER ---
+    // Try to get Product ID from JSON. If missing, get it from our fetched data.
+    let spokeProductId = spokeComponent?.productId;
+    if (!spokeProductId && spokeComponent?.variantId) {
+        const spokeData = componentData.get(spokeComponent.variantId);
+        spokeProductId = spokeData?.['_parent_product_id'];
+    }
+
+    if (!spokeProductId) {
+        console.error(`🚨 Could not determine Product ID for ${position} spokes. Inventory adjustment skipped.`);
+        return { error: 'FAIL: No Product ID' };
+    }
+
+    const colorOption = spokeComponent.selectedOptions?.find(opt => opt.name === 'Color');
+    const selectedColor = colorOption ? colorOption.value : null;
+
+    if (!selectedColor) {
+        return { error: 'FAIL: No Color' };
+    }
+
+    const spokeMeta = componentData.get(spokeComponent.variantId) || {};
+    const family = resolveSpokeFamily({ modelGroup: spokeMeta.spoke_model_group, vendor: spokeComponent.vendor, title: spokeComponent.title });
+    const inventoryColor = family.inventoryColor(selectedColor);
+
+    const fallbackPolicy = parseFallbackPolicy(spokeMeta[FALLBACK_TOLERANCE_KEY], spokeMeta[FALLBACK_DIRECTION_KEY]);
+
+    const cutPolicy = parseCutPolicy(spokeMeta[CUT_TO_LENGTH_KEY], spokeMeta[MAX_CUT_KEY]);
+
+    const sparePolicy = parseSparePolicy(spokeMeta[SPARE_POLICY_KEY] || DEFAULT_SPARE_SPOKE_POLICY);
+
+    return { productId: spokeProductId, inventoryColor, fallbackPolicy, cutPolicy, sparePolicy };
+}
+
+// For variants referenced outside the build recipe (e.g. the washer fallback metafield)
+async function fetchVariantProduct(variantId) {
+    const query = `query getVariantProduct($id: ID!) { productVariant(id: $id) { product { id title } } }`;
+    try {
+        const data = await shopifyAdminApiQuery(query, { id: variantId });
+        return data.productVariant?.product ?? null;
+    } catch (error) {
+        console.error(`Error fetching product for variant ${variantId}:`, error);
+        return null;
+    }
+}
+
+/**
+Resolves a nipple/washer recipe component to the variant to deduct: the variant matching its
+selected options (e.g. Color and Length) when it has any, otherwise its own variant ID.
+@returns {Promise<object>} { variant, productId, description } or { error }.
+*/
+async function resolveComponentVariant(component, componentData) {
+    let productId = component.productId || componentData.get(component.variantId)?.['_parent_product_id'];
+    let title = component.title;
+    if (!productId) {
+        const product = await fetchVariantProduct(component.variantId);
+        productId = product?.id;
+        title = title || product?.title;
+    }
+    if (!productId) return { error: 'FAIL: No Product ID' };
+
+    const variants = await getVariantsCached(productId);
+    const options = component.selectedOptions || [];
+    const matches = options.length > 0 ? matchVariantsByOptions(variants, options) : [];
+    if (matches.length > 1) {
+        return { error: `ACTION REQUIRED: ${matches.length} variants match ${options.map(opt => opt.value).join(' / ')}!` };
+    }
+    const variant = matches[0] || variants.find(v => v.id === component.variantId);
+    if (!variant) return { error: 'ACTION REQUIRED: Variant not found!' };
+
+    const variantTitle = variant.title === 'Default Title' ? null : variant.title;
+    const description = title
+        ? `${title}${variantTitle ? ` (${variantTitle})` : ''}`
+        : (variantTitle || variant.id);
+    return { variant: toVariantResult(variant), productId, description };
+}
+
+// Nipples and washers a wheel draws from: one of each per spoke, times the number of builds.
+// A build without a nipple component has nothing to deduct; washers that are mandatory but missing are flagged.
+async function resolveWheelHardware(buildRecipe, componentData, position, wheel, buildQuantity = 1) {
+    const quantity = (wheel.spokesPerSide.left + wheel.spokesPerSide.right) * buildQuantity;
+    const parts = [];
+
+    for (const { component, recipeSuffix } of HARDWARE_COMPONENTS) {
+        let source = buildRecipe.components[`${position}${recipeSuffix}`];
+
+        if (component === 'washers') {
+            // Washers not counted in the ERD are not part of the build
+            if (!wheel.inputs.addWashers) continue;
+            if (!source?.variantId) {
+                const spokeData = componentData.get(buildRecipe.components[`${position}Spokes`]?.variantId);
+                const rimData = componentData.get(buildRecipe.components[`${position}Rim`]?.variantId);
+                const fallbackVariantId = spokeData?.[WASHER_VARIANT_KEY] || rimData?.[WASHER_VARIANT_KEY];
+                if (fallbackVariantId) {
+                    source = { variantId: fallbackVariantId };
+                } else if (isWasherMandatory(wheel.inputs.washerPolicy)) {
+                    parts.push({ component, quantity, status: `ACTION REQUIRED: Washers are ${wheel.inputs.washerPolicy} but none are in the build!` });
+                    continue;
+                }
+            }
+        }
+        if (!source?.variantId) continue;
+
+        const { variant, productId, description, error } = await resolveComponentVariant(source, componentData);
+        parts.push({ component, quantity, productId, variant, description, status: error });
+    }
+    return parts;
+}
+
+// Nipple engagement of a substituted length. The calculation only checked the length it rounded
+// to, so a longer or shorter spoke from the fallback policy is checked again with the same stretch.
+// Families without an elongation model (Berd) have no engagement check.
+function checkPulledEngagement(wheel, side, pulledLength) {
+    const engagement = wheel.nippleEngagement;
+    if (!engagement) return null;
+    const result = calculateNippleEngagement({
+        endPosition: pulledLength + Number(wheel.lengths[side].stretch) - Number(wheel.lengths[side].geo),
+        nippleLengthMm: engagement.nippleLengthMm,
+        threadLengthMm: engagement.threadLengthMm
+    });
+    return {
+        length: pulledLength,
+        engagement: result.engagement.toFixed(1),
+        protrusion: result.protrusion.toFixed(1),
+        exposedThread: result.exposedThread.toFixed(1),
+        problems: evaluateEngagement(result, { minEngagementMm: getEngagementLimits().minEngagementMm, rimInternalHeightMm: engagement.rimInternalHeightMm })
+    };
+}
+
+/**
+Resolves both sides' spoke variants (including fallback lengths and blanks) against the stock at one location.
+@returns {Promise<object>} { left, right, covered } where each side is { variant, length, calculatedLength,
+substitution, cut, error, quantity, spares } and covered is true when the location holds enough for both sides.
+*/
+async function resolveWheelSpokes({ wheel, spokeSource, quantity, locationId }) {
+    const resolveSide = async (side) => {
+        // Spares ride along in the same deduction but are reported separately
+        const spares = sparesForSide(spokeSource.sparePolicy, side, quantity);
+        const spokeCountPerSide = wheel.spokesPerSide[side] * quantity + spares;
+        const calculatedLength = wheel.lengths[side].rounded;
+        const resolved = await resolveSpokeVariant(spokeSource, calculatedLength, spokeCountPerSide, locationId);
+        if (resolved.substitution) resolved.substitution.engagement = checkPulledEngagement(wheel, side, resolved.length);
+        return { ...resolved, calculatedLength, quantity: spokeCountPerSide, spares };
+    };
+    const [left, right] = await Promise.all([resolveSide('left'), resolveSide('right')]);
+
+    const covered = Boolean(left.variant && right.variant) && hasStockFor(
+        new Map([left, right].map(side => [side.variant.inventoryItemId, side.variant.available])),
+        [left, right].map(side => ({ inventoryItemId: side.variant.inventoryItemId, quantity: side.quantity }))
+    );
+    return { left, right, covered };
+}
+
+/**
+Calculates one custom build line item and resolves the spokes, nipples and washers
+it needs, multiplied by the line item quantity.
+@returns {Promise<object|null>} { lineItem, buildRecipe, buildReport, planned: [{ result, entry, reorderThreshold }] },
+or null when the build could not be calculated.
+*/
+async function processBuildLineItem({ orderData, lineItem, buildLineItems, ledger, locationId }) {
+    const buildProperty = lineItem.properties.find(p => p.name === '_build');
+    if (!buildProperty || !buildProperty.value) return null;
+
+    const buildRecipe = JSON.parse(buildProperty.value);
+    const componentData = await fetchComponentData(buildRecipe);
+    if (!componentData) return null;
+
+    const quantity = lineItemQuantity(lineItem);
+    const buildReport = runCalculationEngine(buildRecipe, componentData);
+    buildReport.lineItem = describeBuildLineItem(lineItem, buildRecipe, buildLineItems);
+    recordLedgerBuild(ledger, { lineItemId: lineItem.id, buildId: buildRecipe.buildId, recipeHash: fingerprintRecipe(buildProperty.value), quantity });
+    console.log(`✅ Initial Build Report (line item ${lineItem.id}, qty ${quantity}):`, JSON.stringify(buildReport, null, 2));
+
+    // Nothing is deducted here: every build's deductions are planned first and applied
+    // together for the whole order (see applyPlannedAdjustments).
+    const planned = [];
+
+    for (const position of ['front', 'rear']) {
+        const wheel = buildReport[position];
+        if (!wheel || !wheel.calculationSuccessful) continue; 
+
+        const spokeSource = resolveSpokeSource(buildRecipe, componentData, position);
+        if (spokeSource.error) {
+            wheel.inventory = { left: { status: spokeSource.error }, right: { status: spokeSource.error } };
+            continue;
+        }
+        const { productId: spokeProductId, inventoryColor } = spokeSource;
+
+        // --- LOCATION ---
+        // Spokes and hardware for one wheel come from one place, recorded on every ledger entry.
+        // Both sides are resolved against that location's stock before anything is planned.
+        const { location, resolution } = await resolveWheelLocation({
+            orderGid: orderData.admin_graphql_api_id,
+            lineItemId: lineItem.id,
+            defaultLocationId: locationId,
+            resolveAt: (candidateId) => resolveWheelSpokes({ wheel, spokeSource, quantity, locationId: candidateId })
+        });
+        wheel.location = location;
+        const wheelPlanned = [];
+
+        const toSideResult = (side) => {
+            const { variant, length, calculatedLength, substitution, cut, error, quantity: spokeCountPerSide, spares } = resolution[side];
+            const result = { length, calculatedLength, substitution, cut, quantity: spokeCountPerSide, spares, status: variant ? 'Pending' : error, stockAlert: null, color: inventoryColor, variantId: variant?.variantId, inventoryItemId: variant?.inventoryItemId };
+            if (variant) {
+                // --- LEDGER ---
+                // Record exactly what was taken so cancellation never has to reverse-engineer the note.
+                wheelPlanned.push({ result, reorderThreshold: variant.reorderThreshold, entry: {
+                    lineItemId: lineItem.id,
+                    buildId: buildRecipe.buildId,
+                    wheel: position,
+                    side,
+                    productId: spokeProductId,
+                    variantId: variant.variantId,
+                    inventoryItemId: variant.inventoryItemId,
+                    delta: -spokeCountPerSide,
+                    // For cut-to-length products the blank is what left the shelf
+                    length: cut ? cut.blankLength : length,
+                    ...(cut && { cutLength: cut.targetLength }),
+                    ...(spares > 0 && { spares }),
+                    color: inventoryColor
+                } });
+            }
+            return result;
+        };
+
+        wheel.inventory = { left: toSideResult('left'), right: toSideResult('right') };
+
+        // --- NIPPLES & WASHERS ---
+        const hardware = await resolveWheelHardware(buildRecipe, componentData, position, wheel, quantity);
+        wheel.hardware = hardware.map(part => {
+            const result = { component: part.component, description: part.description, quantity: part.quantity, status: part.variant ? 'Pending' : part.status, stockAlert: null, productId: part.productId, variantId: part.variant?.variantId, inventoryItemId: part.variant?.inventoryItemId };
+            if (part.variant) {
+                wheelPlanned.push({ result, reorderThreshold: part.variant.reorderThreshold, entry: {
+                    lineItemId: lineItem.id,
+                    buildId: buildRecipe.buildId,
+                    wheel: position,
+                    component: part.component,
+                    productId: part.productId,
+                    variantId: part.variant.variantId,
+                    inventoryItemId: part.variant.inventoryItemId,
+                    delta: -part.quantity,
+                    description: part.description
+                } });
+            }
+            return result;
+        });
+
+        wheelPlanned.forEach(item => { item.entry.locationId = location.id; });
+        planned.push(...wheelPlanned);
+    }
+
+    return { lineItem, buildRecipe, buildReport, planned };
+}
+
+// The plan as it is checkpointed: reports, recipes and entries, without the live line item.
+function serializePlannedBuilds(builds, ledger) {
+    return JSON.parse(JSON.stringify(builds.map(build => ({
+        lineItemId: build.lineItem.id,
+        ledgerBuild: getLedgerBuild(ledger, build.lineItem.id),
+        buildRecipe: build.buildRecipe,
+        buildReport: build.buildReport,
+        planned: build.planned.map(({ entry, reorderThreshold }) => ({ entry, reorderThreshold }))
+    }))));
+}
+
+/**
+Rebuilds the builds planned by an earlier attempt from the inventory checkpoint, so a resumed
+order finishes on the variants, blanks and locations that were actually adjusted instead of
+re-resolving them against stock that has already moved.
+@returns {Array<object>} Builds shaped like processBuildLineItem's, recorded on the ledger.
+*/
+function restorePlannedBuilds(storedBuilds, buildLineItems, ledger) {
+    return storedBuilds.map(stored => {
+        const { buildReport } = stored;
+        if (stored.ledgerBuild) recordLedgerBuild(ledger, { lineItemId: stored.lineItemId, ...stored.ledgerBuild });
+        // Each planned item shares its result object with the report, as when it was planned
+        const planned = stored.planned.map(({ entry, reorderThreshold }) => {
+            const wheel = buildReport[entry.wheel];
+            const result = entry.component
+                ? wheel.hardware.find(part => part.component === entry.component)
+                : wheel.inventory[entry.side];
+            return { entry, reorderThreshold, result };
+        });
+        const lineItem = buildLineItems.find(item => String(item.id) === String(stored.lineItemId)) || { id: stored.lineItemId };
+        return { lineItem, buildRecipe: stored.buildRecipe, buildReport, planned };
+    });
+}
+
+/**
+Applies every planned deduction (or reservation) for an order as one all-or-nothing adjustment
+and writes the outcome back onto each side's result (status, stock alert, and whether it is on
+the ledger). Checkpointed together with the plan, so a redelivery never applies the order twice
+and resumes from what was actually sent (see restorePlannedBuilds).
+@param {string} state - RESERVED_STATE to reserve the stock, otherwise it is deducted.
+@returns {Promise<object>} The batch outcome (see inventoryBatch.js).
+*/
+async function applyPlannedAdjustments(builds, ledger, processing, orderGid, state) {
+    const planned = builds.flatMap(build => build.planned);
+    let batch = processing.getStep('inventory');
+    if (!batch) {
+        const plan = serializePlannedBuilds(builds, ledger);
+        await processing.setStep('inventory', { outcome: 'pending', builds: plan });
+        batch = await applyAllOrNothing(planned.map(item => item.entry), (changes) => applyInventoryChanges(changes, orderGid, state));
+        await processing.setStep('inventory', { ...batch, builds: plan });
+    }
+    const reserving = state === RESERVED_STATE;
+
+    // Sides sharing a variant were merged into one change; its stock alert goes on the first of them
+    const totals = new Map();
+    planned.forEach(({ entry }) => totals.set(inventoryChangeKey(entry), (totals.get(inventoryChangeKey(entry)) || 0) + entry.delta));
+    const alerted = new Set();
+    const unreversed = new Set((batch.unreversed || []).map(inventoryChangeKey));
+    const unknown = new Set((batch.unknown || []).map(inventoryChangeKey));
+
+    for (const item of planned) {
+        const key = inventoryChangeKey(item.entry);
+        item.deducted = batch.outcome === 'applied' || unreversed.has(key);
+        if (batch.outcome === 'applied') {
+            item.result.status = reserving ? 'Reserved' : 'Adjusted';
+            if (!alerted.has(key)) {
+                alerted.add(key);
+                item.result.stockAlert = evaluateStockLevel({ quantityAfter: batch.quantitiesAfter[key], delta: totals.get(key), threshold: item.reorderThreshold });
+            }
+        } else if (batch.outcome === 'pending') {
+            // We crashed mid-mutation and cannot know whether Shopify applied it.
+            item.result.status = "ACTION REQUIRED: Interrupted mid-adjustment, verify stock manually!";
+        } else if (unknown.has(key)) {
+            item.result.status = "ACTION REQUIRED: No answer from Shopify, verify stock manually!";
+        } else if (unreversed.has(key)) {
+            item.result.status = `ACTION REQUIRED: ${reserving ? 'Reserved' : 'Deducted'}, but the rollback failed!`;
+        } else {
+            item.result.status = "NOT ADJUSTED (order rolled back)";
+        }
+    }
+    return batch;
+}
+
+async function handleOrderCreate(orderData, eventStore) {
+    // 0. Idempotency: never process the same order creation twice
+    const processing = await openOrderProcessing(eventStore, orderData.id, 'orders/create');
+    if (processing.isCompleted()) {
+        console.log(`♻️ Order #${orderData.order_number} was already processed. Skipping.`);
+        return;
+    }
+    if (processing.isResumed) {
+        console.log(`🔁 Resuming interrupted processing for order #${orderData.order_number}.`);
+    }
+
+    // 1. Location ID Check
+    const locationId = await resolveLocationId(orderData);
 
     if (!locationId) {
         console.error("CRITICAL: Could not determine any order location ID. Aborting inventory adjustments.");
         return;
     }
 
-    // 2. Find the Custom Build Item
-    const wheelBuildLineItem = orderData.line_items.find(item => item.properties?.some(p => p.name === '_is_custom_wheel_build' && p.value === 'true'));
+    // 2. Find every Custom Build Item
+    const buildLineItems = findWheelBuildLineItems(orderData);
 
-    if (wheelBuildLineItem) {
+    if (buildLineItems.length > 0) {
         try {
-            const buildProperty = wheelBuildLineItem.properties.find(p => p.name === '_build');
-            if (!buildProperty || !buildProperty.value) return;
-
-            const buildRecipe = JSON.parse(buildProperty.value);
-            const componentData = await fetchComponentData(buildRecipe);
-            
-            if (componentData) {
-                let buildReport = runCalculationEngine(buildRecipe, componentData);
-                console.log("✅ Initial Build Report:", JSON.stringify(buildReport, null, 2));
-
-                // Clear cache before starting processing
-                variantCache.clear();
-
-                for (const position of ['front', 'rear']) {
-                    const wheel = buildReport[position];
-                    if (!wheel || !wheel.calculationSuccessful) continue; 
-
-                    const spokeComponent = buildRecipe.components[`${position}Spokes`];
-                    const spokeCountPerSide = parseInt(buildRecipe.specs[`${position}SpokeCount`]?.replace('h', '')) / 2;
-                    
-                    // --- SMART PRODUCT ID FINDER ---
-                    // Try to get Product ID from JSON. If missing, get it from our fetched data.
-                    let spokeProductId = spokeComponent?.productId;
-                    if (!spokeProductId && spokeComponent?.variantId) {
-                        const spokeData = componentData.get(spokeComponent.variantId);
-                        spokeProductId = spokeData?.['_parent_product_id'];
-                    }
-
-                    if (!spokeProductId) {
-                         console.error(`🚨 Could not determine Product ID for ${position} spokes. Inventory adjustment skipped.`);
-                         wheel.inventory = { left: { status: 'FAIL: No Product ID' }, right: { status: 'FAIL: No Product ID' } };
-                         continue;
-                    }
-
-                    const colorOption = spokeComponent.selectedOptions.find(opt => opt.name === 'Color');
-                    const selectedColor = colorOption ? colorOption.value : null;
+            const ledger = createLedger({
+                orderId: orderData.id,
+                orderGid: orderData.admin_graphql_api_id
+            });
 
-                    if (!selectedColor) {
-                        wheel.inventory = { left: { status: 'FAIL: No Color' }, right: { status: 'FAIL: No Color' } };
-                        continue;
-                    }
+            // Clear cache before starting processing
+            variantCache.clear();
+            locationStockCache.clear();
+
+            // An interrupted attempt already sent (or tried to send) its adjustment: finish on its plan
+            const checkpoint = processing.getStep('inventory');
+            const builds = checkpoint?.builds ? restorePlannedBuilds(checkpoint.builds, buildLineItems, ledger) : [];
+            if (!checkpoint?.builds) {
+                for (const lineItem of buildLineItems) {
+                    const build = await processBuildLineItem({ orderData, lineItem, buildLineItems, ledger, locationId });
+                    if (build) builds.push(build);
+                }
+            }
 
-                    let inventoryColor = selectedColor;
-                    if (spokeComponent.vendor === 'Berd' && selectedColor !== 'Black Berd' && selectedColor !== 'White Berd') {
-                        inventoryColor = 'White Berd';
-                    }
+            if (builds.length > 0) {
+                // --- INVENTORY: one all-or-nothing adjustment for the whole order ---
+                // In Reserve mode the stock stays on hand until orders/fulfilled consumes it
+                const state = SPOKE_INVENTORY_MODE === INVENTORY_MODE_RESERVE ? RESERVED_STATE : null;
+                const planned = builds.flatMap(build => build.planned);
+                const batch = await applyPlannedAdjustments(builds, ledger, processing, orderData.admin_graphql_api_id, state);
+                planned.filter(item => item.deducted).forEach(item => addLedgerEntry(ledger, { ...item.entry, ...(state && { state }) }));
+
+                // --- STOCK ALERTS ---
+                const stockAlerts = builds.flatMap(build => collectInventorySides(build.buildReport, 'stockAlert'));
+                if (stockAlerts.length > 0 && !processing.getStep('stock-alert')) {
+                    await sendStockAlertEmail(stockAlerts, orderData);
+                    await processing.setStep('stock-alert', true);
+                }
 
-                    // --- PARALLEL PROCESSING ---
-                    const processSide = async (length) => {
-                        const variant = await findVariantForLengthAndColor(spokeProductId, length, inventoryColor);
-                        let status = "ACTION REQUIRED: Variant not found!";
-                        
-                        if (variant) {
-                            const success = await adjustInventory(variant.inventoryItemId, -spokeCountPerSide, `gid://shopify/Location/${locationId}`, orderData.admin_graphql_api_id);
-                            status = success ? "Adjusted" : "FAILED to adjust";
-                        }
-                        return { length, quantity: spokeCountPerSide, status };
-                    };
-
-                    const [leftResult, rightResult] = await Promise.all([
-                        processSide(wheel.lengths.left.rounded),
-                        processSide(wheel.lengths.right.rounded)
-                    ]);
-
-                    wheel.inventory = { left: leftResult, right: rightResult };
+                if (ledger.entries.length > 0 && !processing.getStep('ledger')) {
+                    await saveOrderLedger(orderData.admin_graphql_api_id, ledger);
+                    await processing.setStep('ledger', true);
                 }
                 
                 // --- NOTE PRESERVATION LOGIC ---
-                let finalNote = formatNote(buildReport);
-                
-                // If the customer left a note, keep it and append our report below
-                if (orderData.note) {
-                    finalNote = orderData.note + "\n\n--------------------------------------------------\n\n" + finalNote;
+                // If the customer left a note, keep it and append one report section per build below
+                let report = builds.map(build => formatNote(build.buildReport)).join('\n\n');
+                if (planned.length > 0) {
+                    report += `\n\nINVENTORY ${state ? 'RESERVATION' : 'ADJUSTMENT'}: ${describeBatchOutcome(batch)}`;
                 }
+                const finalNote = appendToNote(orderData.note, report);
                 
-                await addNoteToOrder(orderData.admin_graphql_api_id, finalNote);
+                if (!processing.getStep('note')) {
+                    await addNoteToOrder(orderData.admin_graphql_api_id, finalNote);
+                    await processing.setStep('note', true);
+                }
                 // -------------------------------
-                await sendEmailReport(buildReport, orderData, buildRecipe);
+                for (const build of builds) {
+                    const stepName = `email:${build.lineItem.id}`;
+                    if (!processing.getStep(stepName)) {
+                        await sendEmailReport(build.buildReport, orderData, build.buildRecipe);
+                        await processing.setStep(stepName, true);
+                    }
+                }
             }
         } catch (error) {
             console.error("🚨 CRASH inside main logic:", error);
+            // Rethrow so Shopify redelivers; the next attempt resumes from the saved checkpoints.
+            throw error;
         }
     } else {
         console.log('ℹ️ No custom wheel build found in this order.');
     }
+
+    await processing.complete();
 }
 
-async function handleOrderCancelled(orderData) {
-    const wheelBuildLineItem = orderData.line_items.find(item => item.properties?.some(p => p.name === '_is_custom_wheel_build' && p.value === 'true'));
-    
-    // Check if we should process this cancellation
-    if (!wheelBuildLineItem || !orderData.note || !orderData.note.includes("AUTOMATED SPOKE CALCULATION")) {
-        console.log("This is not a wheel build with an automated note. No restock needed.");
+/**
+Runs order creation up to the inventory mutation without writing to Shopify or sending email:
+calculation, variant and location resolution, the note, the builder emails and the mutation
+inputs that would be sent. Used by the dry-run endpoint (api/dry-run.js).
+@returns {Promise<object>} { orderNumber, inventoryMode, locationStrategy, builds: [{ lineItemId, buildId, quantity, report, entries, email }], note, inventoryMutations }
+*/
+export async function dryRunOrderCreate(orderData) {
+    const locationId = await resolveLocationId(orderData);
+    if (!locationId) {
+        throw new Error('Could not determine any order location ID.');
+    }
+
+    const orderGid = orderData.admin_graphql_api_id || `gid://shopify/Order/${orderData.id}`;
+    const buildLineItems = findWheelBuildLineItems(orderData);
+    // Throwaway ledger: processBuildLineItem records each build on it, but it is never saved
+    const ledger = createLedger({ orderId: orderData.id, orderGid });
+    variantCache.clear();
+    locationStockCache.clear();
+
+    const builds = [];
+    for (const lineItem of buildLineItems) {
+        const build = await processBuildLineItem({ orderData, lineItem, buildLineItems, ledger, locationId });
+        if (build) builds.push(build);
+    }
+
+    const state = SPOKE_INVENTORY_MODE === INVENTORY_MODE_RESERVE ? RESERVED_STATE : null;
+    const planned = builds.flatMap(build => build.planned);
+    planned.forEach(item => { item.result.status = `DRY RUN: would ${state ? 'reserve' : 'deduct'}`; });
+
+    // The same merge applyAllOrNothing does before its single batched call
+    const changes = mergeInventoryChanges(planned.map(item => item.entry));
+    const inventoryMutations = changes.length === 0 ? [] : [state
+        ? { mutation: 'inventoryMoveQuantities', input: inventoryMoveInput(changes, orderGid) }
+        : { mutation: 'inventoryAdjustQuantities', input: inventoryAdjustInput(changes, orderGid) }];
+
+    let report = builds.map(build => formatNote(build.buildReport)).join('\n\n');
+    if (planned.length > 0) {
+        report += `\n\nINVENTORY ${state ? 'RESERVATION' : 'ADJUSTMENT'}: DRY RUN - nothing applied`;
+    }
+
+    return {
+        orderNumber: orderData.order_number,
+        inventoryMode: SPOKE_INVENTORY_MODE,
+        locationStrategy: SPOKE_LOCATION_STRATEGY,
+        builds: builds.map(build => ({
+            lineItemId: build.lineItem.id,
+            buildId: build.buildRecipe.buildId,
+            quantity: lineItemQuantity(build.lineItem),
+            report: build.buildReport,
+            entries: build.planned.map(item => item.entry),
+            email: renderEmailReport(build.buildReport, orderData, build.buildRecipe)
+        })),
+        note: builds.length > 0 ? appendToNote(orderData.note, report) : null,
+        inventoryMutations
+    };
+}
+
+async function handleOrderCancelled(orderData, eventStore) {
+    const processing = await openOrderProcessing(eventStore, orderData.id, 'orders/cancelled');
+    if (processing.isCompleted()) {
+        console.log(`♻️ Cancellation for order #${orderData.order_number} was already processed. Skipping.`);
         return;
     }
 
-    // 1. Get Location ID (Optimized)
-    let locationId = process.env.SHOPIFY_PRIMARY_LOCATION_ID;
-    if (!locationId) {
-        if (orderData.location_id) {
-            locationId = orderData.location_id;
+    const orderGid = orderData.admin_graphql_api_id;
+
+    // 1. Load the ledger written at order creation (and the live note, which may have been edited since)
+    const { ledger, note: currentNote } = await fetchOrderLedger(orderGid);
+    const existingNote = currentNote ?? orderData.note ?? '';
+
+    if (!ledger) {
+        if (existingNote.includes("AUTOMATED SPOKE CALCULATION")) {
+            console.warn("⚠️ Order has an automated spoke note but no ledger. Refusing to guess from the note text.");
+            await addNoteToOrder(orderGid, appendToNote(existingNote, "AUTOMATED RESTOCK SKIPPED: No spoke ledger found on this order. Please restock spokes manually."));
         } else {
-             locationId = await getPrimaryLocationId();
+            console.log("This is not a wheel build with a spoke ledger. No restock needed.");
         }
+        await processing.complete();
+        return;
     }
 
-    if (!locationId) {
-        console.error("CRITICAL: Could not determine location ID for restock. Aborting.");
-        await addNoteToOrder(orderData.admin_graphql_api_id, "AUTOMATED RESTOCK FAILED: Could not determine location ID.");
+    // 2. Only entries still marked 'applied' are restocked, so a second cancel webhook is a no-op
+    const openEntries = getOpenEntries(ledger);
+    if (openEntries.length === 0) {
+        console.log(`Spoke ledger for order #${orderData.order_number} is already ${ledger.status}. Nothing to restock.`);
+        await processing.complete();
         return;
     }
 
-    // 2. Parse the Note to see what needs restocking
-    const note = orderData.note;
-    const regex = /(Left|Right):\s*(\d+)\s*x\s*(\d+)mm\s*\(Adjusted\)/g;
-    let match;
-    const restockActions = [];
-    
-    while ((match = regex.exec(note)) !== null) {
-        restockActions.push({
-            quantity: parseInt(match[2], 10),
-            length: parseInt(match[3], 10),
-        });
+    // Each build line item is restocked on its own, so one build's failure never holds up another's
+    let restockLines = '';
+    let incomplete = false;
+    const lineItemIds = [...new Set(openEntries.map(entry => String(entry.lineItemId)))];
+    for (const lineItemId of lineItemIds) {
+        const entries = openEntries.filter(entry => String(entry.lineItemId) === lineItemId);
+        if (lineItemIds.length > 1) {
+            restockLines += `Build ${entries[0].buildId} (line item ${lineItemId}):\n`;
+        }
+        const restock = await restockLedgerEntries(entries, ledger, processing, orderGid, 'orders/cancelled');
+        restockLines += restock.lines;
+        incomplete = incomplete || !restock.complete;
+    }
+    // The header is the first thing staff read, so it must not claim success when an entry failed
+    const restockNote = `${incomplete ? 'AUTOMATED RESTOCK INCOMPLETE - ACTION REQUIRED' : 'AUTOMATED RESTOCK COMPLETE'}\n--------------------------\n${restockLines}`;
+
+    if (!processing.getStep('ledger')) {
+        await saveOrderLedger(orderGid, ledger);
+        await processing.setStep('ledger', true);
+    }
+
+    // 3. Append to the existing note instead of replacing the original calculation report
+    if (!processing.getStep('note')) {
+        await addNoteToOrder(orderGid, appendToNote(existingNote, restockNote));
+        await processing.setStep('note', true);
+    }
+    await processing.complete();
+}
+
+/**
+Gives back the stock recorded in the given ledger entries (at each entry's own location)
+and marks them reversed. Reserved entries are released back to available rather than
+restocked. Checkpointed per entry so a resumed run never restocks twice.
+@returns {Promise<object>} { lines: note lines describing each restock, complete: false if any entry failed or was interrupted }
+*/
+async function restockLedgerEntries(entries, ledger, processing, orderGid, reason) {
+    let lines = '';
+    let complete = true;
+
+    for (const entry of entries) {
+        const stepName = `restock:${entry.id}`;
+        const quantity = -entry.delta;
+        const previous = processing.getStep(stepName);
+
+        let status;
+        if (previous?.status) {
+            status = previous.status;
+        } else {
+            await processing.setStep(stepName, { status: 'pending' });
+            try {
+                if (isReservedEntry(entry)) {
+                    const released = await moveReservedQuantities([{ inventoryItemId: entry.inventoryItemId, locationId: entry.locationId, delta: quantity }], orderGid);
+                    status = released ? "Released" : "FAILED";
+                } else {
+                    const adjustment = await adjustInventory(entry.inventoryItemId, quantity, entry.locationId, orderGid);
+                    status = adjustment ? "Restocked" : "FAILED";
+                }
+            } catch (error) {
+                // Shopify never answered; the restock may have gone through, so it is not retried
+                status = 'unknown';
+            }
+            await processing.setStep(stepName, { status });
+        }
+        if (status === 'pending') {
+            status = "ACTION REQUIRED (Interrupted, verify stock manually)";
+        } else if (status === 'unknown') {
+            status = "ACTION REQUIRED (No answer from Shopify, verify stock manually)";
+        }
+        if (status !== "Restocked" && status !== "Released") {
+            complete = false;
+        }
+
+        if (status !== "FAILED") {
+            markEntryReversed(ledger, entry.id, reason);
+        }
+        lines += `- ${describeEntryPosition(entry)}: ${quantity} x ${describeStockItem(entry)}${entry.spares ? ` (incl. ${entry.spares} spare${entry.spares === 1 ? '' : 's'})` : ''} - ${status}\n`;
     }
 
-    if (restockActions.length === 0) {
-        console.log("No 'Adjusted' inventory lines found in the note. Nothing to restock.");
+    return { lines, complete };
+}
+
+async function handleOrderFulfilled(orderData, eventStore) {
+    const processing = await openOrderProcessing(eventStore, orderData.id, 'orders/fulfilled');
+    if (processing.isCompleted()) {
+        console.log(`♻️ Fulfillment of order #${orderData.order_number} was already processed. Skipping.`);
         return;
     }
-    
-    // 3. Parse the JSON Recipe
-    const buildProperty = wheelBuildLineItem?.properties.find(p => p.name === '_build');
-    if (!buildProperty || !buildProperty.value) {
-         console.log("Could not find the original build recipe. Aborting restock.");
-         return;
+
+    const orderGid = orderData.admin_graphql_api_id;
+    const { ledger, note: currentNote } = await fetchOrderLedger(orderGid);
+
+    // Only Reserve mode leaves anything to consume; deducted stock already left available at order time
+    const reservedEntries = getOpenEntries(ledger).filter(isReservedEntry);
+    if (reservedEntries.length === 0) {
+        console.log(`ℹ️ No reserved spokes on order #${orderData.order_number}. Nothing to consume.`);
+        await processing.complete();
+        return;
+    }
+
+    // 1. Take every reservation out of `reserved` (and on hand) as one all-or-nothing adjustment
+    let batch = processing.getStep('inventory');
+    if (!batch) {
+        await processing.setStep('inventory', { outcome: 'pending' });
+        batch = await applyAllOrNothing(reservedEntries, (changes) => adjustInventoryQuantities(changes, orderGid, { name: RESERVED_STATE, reason: INVENTORY_REASONS.consume }));
+        await processing.setStep('inventory', batch);
+    }
+    const unreversed = new Set((batch.unreversed || []).map(inventoryChangeKey));
+    const unknown = new Set((batch.unknown || []).map(inventoryChangeKey));
+
+    // 2. Consumed entries stay open on the ledger, so a later refund still restocks them
+    let consumptionNote = "AUTOMATED SPOKE CONSUMPTION (FULFILLED)\n--------------------------\n";
+    for (const entry of reservedEntries) {
+        let status;
+        if (batch.outcome === 'applied') {
+            status = 'Consumed';
+        } else if (batch.outcome === 'pending') {
+            status = 'ACTION REQUIRED (Interrupted, verify stock manually)';
+        } else if (unknown.has(inventoryChangeKey(entry))) {
+            status = 'ACTION REQUIRED (No answer from Shopify, verify stock manually)';
+        } else if (unreversed.has(inventoryChangeKey(entry))) {
+            status = 'ACTION REQUIRED (Consumed, but the rollback failed)';
+        } else {
+            status = 'FAILED (still reserved)';
+        }
+        if (batch.outcome === 'applied' || unreversed.has(inventoryChangeKey(entry))) {
+            markEntryConsumed(ledger, entry.id);
+        }
+        consumptionNote += `- ${describeEntryPosition(entry)}: ${-entry.delta} x ${describeStockItem(entry)} - ${status}\n`;
+    }
+    consumptionNote += `\nRESULT: ${describeBatchOutcome(batch)}`;
+
+    if (!processing.getStep('ledger')) {
+        await saveOrderLedger(orderGid, ledger);
+        await processing.setStep('ledger', true);
+    }
+    if (!processing.getStep('note')) {
+        await addNoteToOrder(orderGid, appendToNote(currentNote ?? orderData.note, consumptionNote));
+        await processing.setStep('note', true);
+    }
+    await processing.complete();
+}
+
+// Refunds carry no per-wheel data. Staff name the wheels a refund returns in this order attribute
+// ("front", "rear" or both) before refunding; without it a refunded build is restocked whole.
+const REFUND_WHEELS_ATTRIBUTE = '_refund_wheels';
+
+function refundWheels(attributes) {
+    const value = (attributes.find(attribute => attribute.key === REFUND_WHEELS_ATTRIBUTE)?.value || '').toLowerCase();
+    const named = ['front', 'rear'].filter(wheel => new RegExp(`\\b${wheel}\\b`).test(value));
+    return named.length > 0 ? named : null;
+}
+
+// A refund note naming just one wheel may have meant less than the whole build
+function refundNoteNamesOneWheel(refundData) {
+    const note = (refundData.note || '').toLowerCase();
+    return /\bfront\b/.test(note) !== /\brear\b/.test(note);
+}
+
+/**
+Restocks the refunded builds of one line item, wheel by wheel. When fewer builds are refunded than a
+wheel's open entries cover, that share of each entry is split off and restocked and the rest stays open.
+@returns {Promise<string>} Note lines for the line item.
+*/
+async function restockRefundedBuilds({ refundData, refundLine, ledger, wheels, processing, orderGid }) {
+    const entries = getOpenEntries(ledger).filter(entry => String(entry.lineItemId) === String(refundLine.line_item_id));
+    if (entries.length === 0) {
+        return `- Line item ${refundLine.line_item_id}: nothing left to restock.\n`;
+    }
+
+    const recorded = getLedgerBuild(ledger, refundLine.line_item_id);
+    let lines = `Line item ${refundLine.line_item_id} (restock_type: ${refundLine.restock_type}${wheels ? `, ${wheels.join(' and ')} only` : ''}):\n`;
+    for (const wheel of wheels || ['front', 'rear']) {
+        const wheelEntries = entries.filter(entry => entry.wheel === wheel);
+        if (wheelEntries.length === 0) continue;
+
+        // Ledgers without a build record cover exactly what is being refunded
+        const open = recorded ? openBuildQuantity(recorded, wheel) : refundLine.quantity;
+        const builds = Math.min(refundLine.quantity, open);
+        const refunded = builds < open
+            ? wheelEntries.map(entry => splitLedgerEntry(ledger, entry.id, { builds, of: open, suffix: `refund${refundData.id}` }))
+            : wheelEntries;
+        if (builds < open) {
+            lines += `- ${wheel.charAt(0).toUpperCase() + wheel.slice(1)}: ${builds} of ${open} builds refunded, the rest stays deducted.\n`;
+        }
+        lines += (await restockLedgerEntries(refunded, ledger, processing, orderGid, `refunds/create:${refundData.id}`)).lines;
+        recordRefundedBuilds(ledger, refundLine.line_item_id, wheel, builds);
+    }
+    return lines;
+}
+
+async function handleRefundCreate(refundData, eventStore) {
+    const refundedBuilds = (refundData.refund_line_items || []).filter(refundLine =>
+        refundLine.line_item && isWheelBuildLineItem(refundLine.line_item)
+    );
+
+    if (refundedBuilds.length === 0) {
+        console.log('ℹ️ Refund does not include a custom wheel build. No restock needed.');
+        return;
+    }
+
+    const processing = await openOrderProcessing(eventStore, refundData.order_id, `refunds/create:${refundData.id}`);
+    if (processing.isCompleted()) {
+        console.log(`♻️ Refund ${refundData.id} was already processed. Skipping.`);
+        return;
+    }
+
+    const orderGid = `gid://shopify/Order/${refundData.order_id}`;
+    const { ledger, note: currentNote, attributes } = await fetchOrderLedger(orderGid);
+    if (!ledger) {
+        console.log("No spoke ledger on this order. Nothing to restock for this refund.");
+        await processing.complete();
+        return;
     }
-    const buildRecipe = JSON.parse(buildProperty.value);
 
-    // --- FIX: Fetch Component Data to get Parent Product IDs ---
+    // A resumed run already split and saved the ledger, so reuse its note instead of restocking again
+    let refundNote = processing.getStep('ledger')?.note;
+    if (!refundNote) {
+        const wheels = refundWheels(attributes);
+        const needsReview = !wheels && refundNoteNamesOneWheel(refundData);
+        refundNote = `AUTOMATED RESTOCK (REFUND ${refundData.id})${needsReview ? ' - ACTION REQUIRED' : ''}\n--------------------------\n`;
+        if (needsReview) {
+            refundNote += `The refund note names a single wheel, but the order has no ${REFUND_WHEELS_ATTRIBUTE} attribute. Whole builds were restocked; deduct the spokes of any wheel the customer kept manually.\n`;
+        }
+
+        for (const refundLine of refundedBuilds) {
+            // Shopify only restocks the wheel build product itself; spokes follow the same instruction.
+            if (refundLine.restock_type === 'no_restock') {
+                refundNote += `- Line item ${refundLine.line_item_id}: refunded without restock (restock_type: no_restock). Spokes left deducted.\n`;
+                continue;
+            }
+            refundNote += await restockRefundedBuilds({ refundData, refundLine, ledger, wheels, processing, orderGid });
+        }
+
+        await saveOrderLedger(orderGid, ledger);
+        await processing.setStep('ledger', { note: refundNote });
+    }
+    if (!processing.getStep('note')) {
+        await addNoteToOrder(orderGid, appendToNote(currentNote, refundNote));
+        await processing.setStep('note', true);
+    }
+    await processing.complete();
+}
+
+async function handleOrderEdited(orderData, eventStore) {
+    const orderGid = orderData.admin_graphql_api_id;
+
+    if (orderData.cancelled_at) {
+        console.log(`Order #${orderData.order_number} is cancelled. Leaving inventory to the cancellation handler.`);
+        return;
+    }
+
+    // Removed builds stay in line_items at quantity 0, so they still count here
+    if (!orderData.line_items.some(isWheelBuildLineItem)) {
+        console.log('ℹ️ No custom wheel build found in this order. Nothing to recalculate.');
+        return;
+    }
+    const buildLineItems = findWheelBuildLineItems(orderData)
+        .filter(item => item.properties.find(p => p.name === '_build')?.value);
+
+    // 1. Compare each build's recipe and quantity against what the ledger was calculated from.
+    // orders/updated fires for every change (including our own note updates), so this must stay cheap.
+    const { ledger, note } = await fetchOrderLedger(orderGid);
+    if (!ledger) {
+        console.log("No spoke ledger on this order. Nothing to reconcile.");
+        return;
+    }
+    if (ledger.status === 'reversed') {
+        console.log(`Spoke ledger for order #${orderData.order_number} is already reversed. Ignoring edit.`);
+        return;
+    }
+
+    let currentNote = note ?? orderData.note;
+    currentNote = await restockRemovedBuilds({ orderData, ledger, currentNote, eventStore });
+    for (const lineItem of buildLineItems) {
+        currentNote = await reviseBuildLineItem({ orderData, ledger, lineItem, buildLineItems, currentNote, eventStore });
+    }
+}
+
+/**
+Gives back the open entries of every build whose line item an edit removed (or set to quantity 0),
+one build at a time, and records the build at quantity 0 so re-adding it deducts again.
+A build that is only refunded is left to refunds/create.
+@returns {Promise<string>} The order note, including a restock note for each removed build.
+*/
+async function restockRemovedBuilds({ orderData, ledger, currentNote, eventStore }) {
+    const orderGid = orderData.admin_graphql_api_id;
+    const activeIds = new Set(findWheelBuildLineItems(orderData).map(item => String(item.id)));
+    const openEntries = getOpenEntries(ledger).filter(entry => !activeIds.has(String(entry.lineItemId)));
+    const lineItemIds = [...new Set(openEntries.map(entry => String(entry.lineItemId)))];
+
+    for (const lineItemId of lineItemIds) {
+        const entries = openEntries.filter(entry => String(entry.lineItemId) === lineItemId);
+        // Keyed on the entries being given back, so a build removed again after being re-added gets its own record
+        const processing = await openOrderProcessing(eventStore, orderData.id, `order-removal:${entries[0].id}`);
+        if (processing.isCompleted()) {
+            console.log(`♻️ Removal of line item ${lineItemId} on order #${orderData.order_number} was already processed. Skipping.`);
+            continue;
+        }
+
+        console.log(`✏️ Build line item ${lineItemId} was removed from order #${orderData.order_number}. Restocking its spokes...`);
+        const restock = await restockLedgerEntries(entries, ledger, processing, orderGid, 'Order Edited');
+        const recorded = getLedgerBuild(ledger, lineItemId);
+        recordLedgerBuild(ledger, { lineItemId, buildId: recorded?.buildId ?? entries[0].buildId, recipeHash: recorded?.recipeHash, quantity: 0 });
+
+        const header = restock.complete ? 'AUTOMATED RESTOCK (BUILD REMOVED)' : 'AUTOMATED RESTOCK (BUILD REMOVED) INCOMPLETE - ACTION REQUIRED';
+        const restockNote = `${header}\n--------------------------\nBuild ${entries[0].buildId} (line item ${lineItemId}):\n${restock.lines}`;
+
+        if (!processing.getStep('ledger')) {
+            await saveOrderLedger(orderGid, ledger);
+            await processing.setStep('ledger', true);
+        }
+        currentNote = appendToNote(currentNote, restockNote);
+        if (!processing.getStep('note')) {
+            await addNoteToOrder(orderGid, currentNote);
+            await processing.setStep('note', true);
+        }
+        await processing.complete();
+    }
+    return currentNote;
+}
+
+/**
+Recalculates one build line item whose recipe or quantity no longer matches the ledger.
+@returns {Promise<string>} The order note, including any revision note appended for this build.
+*/
+async function reviseBuildLineItem({ orderData, ledger, lineItem, buildLineItems, currentNote, eventStore }) {
+    const buildProperty = lineItem.properties.find(p => p.name === '_build');
+    const quantity = orderedQuantity(orderData, lineItem);
+
+    // orders/edited and orders/updated both arrive for one edit; the recipe hash and quantity tie them together.
+    const recipeHash = fingerprintRecipe(buildProperty.value);
+    const processingTopic = `order-revision:${lineItem.id}:${recipeHash}:${quantity}`;
+    const processing = await openOrderProcessing(eventStore, orderData.id, processingTopic);
+    if (processing.isCompleted()) {
+        console.log(`♻️ Recipe revision for line item ${lineItem.id} on order #${orderData.order_number} was already processed. Skipping.`);
+        return currentNote;
+    }
+
+    // Both webhooks usually arrive within a second of each other; only one may diff and apply the revision
+    const release = await acquireClaim(eventStore, `claim:order:${orderData.id}:${processingTopic}`);
+    if (!release) {
+        throw conflictError(`Recipe revision for line item ${lineItem.id} on order #${orderData.order_number} is already being applied by another invocation.`);
+    }
+    try {
+        return await applyBuildRevision({ orderData, ledger, lineItem, buildLineItems, currentNote, eventStore, processingTopic, recipeHash, quantity });
+    } finally {
+        await release();
+    }
+}
+
+// Runs one claimed revision. The processing record is re-read under the claim, since the
+// invocation that held it before may have finished the revision in the meantime.
+async function applyBuildRevision({ orderData, ledger, lineItem, buildLineItems, currentNote, eventStore, processingTopic, recipeHash, quantity }) {
+    const buildProperty = lineItem.properties.find(p => p.name === '_build');
+    const processing = await openOrderProcessing(eventStore, orderData.id, processingTopic);
+    if (processing.isCompleted()) {
+        console.log(`♻️ Recipe revision for line item ${lineItem.id} on order #${orderData.order_number} was already processed. Skipping.`);
+        return currentNote;
+    }
+
+    // A resumed run already saved the ledger, so reuse its summary instead of diffing again
+    let revision = processing.getStep('revision');
+    if (!revision) {
+        const recorded = getLedgerBuild(ledger, lineItem.id);
+        if (recorded && recorded.recipeHash === recipeHash && recorded.quantity === quantity) {
+            console.log(`ℹ️ Build recipe for line item ${lineItem.id} on order #${orderData.order_number} is unchanged. No recalculation needed.`);
+            return currentNote;
+        }
+
+        console.log(`✏️ Build recipe or quantity changed for line item ${lineItem.id} on order #${orderData.order_number}. Recalculating spokes...`);
+        revision = await reconcileBuildWithLedger({
+            orderData,
+            ledger,
+            wheelBuildLineItem: lineItem,
+            buildLineItems,
+            buildRecipe: JSON.parse(buildProperty.value),
+            recipeHash,
+            processing,
+            reason: 'Order Edited'
+        });
+        if (!revision) return currentNote;
+        await processing.setStep('revision', revision);
+    }
+
+    return publishRevision({ revision, orderData, processing, currentNote });
+}
+
+/**
+Sends the stock alert, appends the revision note and emails the builder for an applied
+revision, each checkpointed, then completes the processing record.
+@returns {Promise<string>} The order note including the revision note.
+*/
+async function publishRevision({ revision, orderData, processing, currentNote }) {
+    const stockAlerts = revision.netChanges.filter(change => change.stockAlert);
+    if (stockAlerts.length > 0 && !processing.getStep('stock-alert')) {
+        await sendStockAlertEmail(stockAlerts, orderData);
+        await processing.setStep('stock-alert', true);
+    }
+
+    const nextNote = appendToNote(currentNote, formatRevisionNote(revision));
+    if (!processing.getStep('note')) {
+        await addNoteToOrder(orderData.admin_graphql_api_id, nextNote);
+        await processing.setStep('note', true);
+    }
+    if (!processing.getStep('email')) {
+        await sendEmailReport(revision.report, orderData, revision.buildRecipe, revision);
+        await processing.setStep('email', true);
+    }
+    await processing.complete();
+    return nextNote;
+}
+
+/**
+Re-runs every build on an existing order against current metafields (e.g. after fixing a wrong
+rim_erd) and diffs the result with the ledger. Without `confirm` nothing is changed. With it, each
+build that differs gets its net inventory change applied, a REVISED note and a REVISED builder email.
+Used by the admin recalculation endpoint (api/recalculate.js).
+@returns {Promise<object>} { orderNumber, confirmed, builds: [{ lineItemId, buildId, status, changes, netChanges, inventoryOutcome }] },
+or { error, reason } where reason is 'conflict', 'not_found' (order or ledger) or 'unprocessable' (nothing to recalculate).
+*/
+export async function recalculateOrder(orderId, { confirm = false } = {}) {
+    // A preview only reads; applying takes the order's ledger claim like the webhooks do
+    if (!confirm) return runRecalculation(orderId, { confirm });
+    try {
+        return await withLedgerClaim(getEventStore(), orderId, () => runRecalculation(orderId, { confirm }));
+    } catch (error) {
+        if (error.conflict) return { error: `${error.message} Try again in a moment.`, reason: 'conflict' };
+        throw error;
+    }
+}
+
+async function runRecalculation(orderId, { confirm }) {
+    let orderData;
+    try {
+        orderData = await fetchOrder(orderId);
+    } catch (error) {
+        if (error.status === 404) return { error: `Order ${orderId} was not found.`, reason: 'not_found' };
+        throw error;
+    }
+    if (!orderData) {
+        return { error: `Order ${orderId} was not found.`, reason: 'not_found' };
+    }
+    const orderGid = orderData.admin_graphql_api_id;
+
+    if (orderData.cancelled_at) {
+        return { error: `Order #${orderData.order_number} is cancelled. Nothing to recalculate.`, reason: 'unprocessable' };
+    }
+    const { ledger, note } = await fetchOrderLedger(orderGid);
+    if (!ledger) {
+        return { error: `Order #${orderData.order_number} has no spoke ledger. Nothing to recalculate against.`, reason: 'not_found' };
+    }
+    if (ledger.status === 'reversed') {
+        return { error: `Spoke ledger for order #${orderData.order_number} is already reversed.`, reason: 'unprocessable' };
+    }
+
+    const eventStore = getEventStore();
+    const buildLineItems = findWheelBuildLineItems(orderData)
+        .filter(item => item.properties.find(p => p.name === '_build')?.value);
+    if (buildLineItems.length === 0) {
+        return { error: `Order #${orderData.order_number} has no active custom wheel build. Nothing to recalculate.`, reason: 'unprocessable' };
+    }
+    const reason = 'Admin Recalculation';
+    const builds = [];
+    let currentNote = note ?? orderData.note;
+
+    // Every build is keyed on the ledger revision the whole recalculation started from. Each applied
+    // build bumps the revision, so a confirm repeated after a crash takes the start revision of the
+    // unfinished run rather than the (already bumped) current one.
+    const run = confirm ? await openOrderProcessing(eventStore, orderData.id, 'admin-recalculation') : null;
+    let startRevision = ledger.revision || 0;
+    if (run) {
+        const unfinished = run.getStep('run');
+        if (unfinished && !unfinished.finished) {
+            startRevision = unfinished.startRevision;
+        } else {
+            await run.setStep('run', { startRevision, finished: false });
+        }
+    }
+
+    for (const lineItem of buildLineItems) {
+        const rawRecipe = lineItem.properties.find(p => p.name === '_build').value;
+        const buildRecipe = JSON.parse(rawRecipe);
+        const target = { orderData, ledger, wheelBuildLineItem: lineItem, buildLineItems, buildRecipe, recipeHash: fingerprintRecipe(rawRecipe), reason, revised: true };
+
+        // Keyed on the ledger revision the recalculation starts from, so a repeated confirm resumes
+        // an interrupted run instead of applying it twice (a finished one leaves nothing to change).
+        const processing = await openOrderProcessing(eventStore, orderData.id, `admin-recalculation:${lineItem.id}:r${startRevision}`);
+        let revision = confirm ? processing.getStep('revision') : null;
+        if (!revision) {
+            const previewed = await reconcileBuildWithLedger({ ...target, preview: true });
+            if (!previewed) {
+                builds.push({ lineItemId: lineItem.id, buildId: buildRecipe.buildId, status: 'Calculation failed. Inventory left untouched.' });
+                continue;
+            }
+            if (!confirm || !previewed.hasChanges) {
+                builds.push({
+                    lineItemId: lineItem.id,
+                    buildId: buildRecipe.buildId,
+                    status: previewed.hasChanges ? 'Preview (send confirm: true to apply)' : 'Unchanged',
+                    changes: previewed.changes,
+                    netChanges: previewed.netChanges,
+                    inventoryOutcome: previewed.inventoryOutcome
+                });
+                continue;
+            }
+
+            console.log(`✏️ Admin recalculation of line item ${lineItem.id} on order #${orderData.order_number}. Applying net changes...`);
+            revision = await reconcileBuildWithLedger({ ...target, processing });
+            if (!revision) {
+                builds.push({ lineItemId: lineItem.id, buildId: buildRecipe.buildId, status: 'Calculation failed. Inventory left untouched.' });
+                continue;
+            }
+            await processing.setStep('revision', revision);
+        }
+
+        currentNote = await publishRevision({ revision, orderData, processing, currentNote });
+        builds.push({
+            lineItemId: lineItem.id,
+            buildId: buildRecipe.buildId,
+            status: `Applied (Revision ${revision.revision})`,
+            changes: revision.changes,
+            netChanges: revision.netChanges,
+            inventoryOutcome: revision.inventoryOutcome
+        });
+    }
+
+    if (run) await run.setStep('run', { startRevision, finished: true });
+    return { orderNumber: orderData.order_number, confirmed: confirm, builds };
+}
+
+/**
+Step 1 and 2 of a revision: recalculates the build, resolves the variants and locations it now
+needs and diffs them against the build's open ledger entries.
+@returns {Promise<object|null>} { report, keepWheels, reorderThresholds, diff, state }, or null if the calculation could not run.
+*/
+async function planBuildRevision({ orderData, wheelBuildLineItem, buildLineItems, buildRecipe, quantity, refunded, openEntries }) {
+    const orderGid = orderData.admin_graphql_api_id;
     const componentData = await fetchComponentData(buildRecipe);
-    // ----------------------------------------------------------
+    if (!componentData) {
+        console.error("🚨 Could not load component data for the revised recipe. Inventory left untouched.");
+        return null;
+    }
 
-    let restockNote = "AUTOMATED RESTOCK COMPLETE\n--------------------------\n";
-    let actionIndex = 0;
+    const locationId = await resolveLocationId(orderData);
+    if (!locationId) {
+        console.error("CRITICAL: Could not determine any order location ID. Aborting recalculation.");
+        return null;
+    }
 
-    // Clear cache to ensure we get fresh inventory Item IDs
+    const report = runCalculationEngine(buildRecipe, componentData);
+    report.lineItem = describeBuildLineItem(wheelBuildLineItem, buildRecipe, buildLineItems);
     variantCache.clear();
+    locationStockCache.clear();
+
+    // 1. Resolve the variants the new recipe needs
+    const desiredEntries = [];
+    const keepWheels = [];
+    const reorderThresholds = new Map();
+    const sideNotes = {};
 
     for (const position of ['front', 'rear']) {
-        const spokeComponent = buildRecipe.components[`${position}Spokes`];
-        if (!spokeComponent) continue; 
+        const wheel = report[position];
+        if (!wheel) continue; // Wheel is no longer part of the build; its old entries get restocked.
+
+        if (!wheel.calculationSuccessful) {
+            // Never restock a wheel just because its recalculation failed
+            keepWheels.push(position);
+            continue;
+        }
+
+        // Builds of this wheel a refund already gave back are no longer covered
+        const wheelQuantity = openBuildQuantity({ quantity, refunded }, position);
+        if (wheelQuantity === 0) {
+            wheel.inventory = { left: { status: 'Refunded' }, right: { status: 'Refunded' } };
+            continue;
+        }
+
+        const spokeSource = resolveSpokeSource(buildRecipe, componentData, position);
+        if (spokeSource.error) {
+            keepWheels.push(position);
+            wheel.inventory = { left: { status: spokeSource.error }, right: { status: spokeSource.error } };
+            continue;
+        }
+
+        // A wheel already on the ledger stays where its stock was taken from; only a newly added
+        // wheel goes through the location strategy, so an edit never shuffles stock between locations.
+        const previousLocationId = openEntries.find(entry => entry.wheel === position)?.locationId;
+        const resolveAt = (candidateId) => resolveWheelSpokes({ wheel, spokeSource, quantity: wheelQuantity, locationId: candidateId });
+        const { location, resolution } = previousLocationId
+            ? { location: { id: previousLocationId, name: null, reason: null }, resolution: await resolveAt(previousLocationId) }
+            : await resolveWheelLocation({ orderGid, lineItemId: wheelBuildLineItem.id, defaultLocationId: locationId, resolveAt });
+        wheel.location = location;
+
+        wheel.inventory = {};
+        const wheelEntries = [];
+        for (const side of ['left', 'right']) {
+            const { variant, length, calculatedLength, substitution, cut, error, quantity: spokeCountPerSide, spares } = resolution[side];
+            wheel.inventory[side] = { length, calculatedLength, substitution, cut, quantity: spokeCountPerSide, spares, color: spokeSource.inventoryColor, status: variant ? 'Pending' : error };
+            if (!variant) continue;
+            reorderThresholds.set(variant.inventoryItemId, variant.reorderThreshold);
+
+            wheelEntries.push({
+                lineItemId: wheelBuildLineItem.id,
+                buildId: buildRecipe.buildId,
+                wheel: position,
+                side,
+                productId: spokeSource.productId,
+                variantId: variant.variantId,
+                inventoryItemId: variant.inventoryItemId,
+                delta: -spokeCountPerSide,
+                length: cut ? cut.blankLength : length,
+                ...(cut && { cutLength: cut.targetLength }),
+                ...(spares > 0 && { spares }),
+                color: spokeSource.inventoryColor
+            });
+        }
+
+        const hardware = await resolveWheelHardware(buildRecipe, componentData, position, wheel, wheelQuantity);
+        wheel.hardware = hardware.map(part => ({ component: part.component, description: part.description, quantity: part.quantity, status: part.variant ? 'Pending' : part.status }));
+        for (const part of hardware) {
+            if (!part.variant) continue;
+            reorderThresholds.set(part.variant.inventoryItemId, part.variant.reorderThreshold);
+
+            wheelEntries.push({
+                lineItemId: wheelBuildLineItem.id,
+                buildId: buildRecipe.buildId,
+                wheel: position,
+                component: part.component,
+                productId: part.productId,
+                variantId: part.variant.variantId,
+                inventoryItemId: part.variant.inventoryItemId,
+                delta: -part.quantity,
+                description: part.description
+            });
+        }
+
+        wheelEntries.forEach(entry => { entry.locationId = location.id; });
+        desiredEntries.push(...wheelEntries);
+    }
+
+    // 2. Diff against what the ledger says is currently deducted for this build line item
+    const diff = diffLedgerEntries(openEntries, desiredEntries, { keepWheels });
+
+    // A reserved build stays reserved; a deducted or already consumed one is adjusted directly.
+    // Only a build with nothing on the ledger yet follows the current inventory mode.
+    const state = openEntries.length > 0
+        ? (openEntries.some(isReservedEntry) ? RESERVED_STATE : null)
+        : (SPOKE_INVENTORY_MODE === INVENTORY_MODE_RESERVE ? RESERVED_STATE : null);
+
+    return { report, keepWheels, reorderThresholds: Object.fromEntries(reorderThresholds), diff, state };
+}
 
-        // --- FIX: Resolve Missing Product ID ---
-        let spokeProductId = spokeComponent.productId;
-        if (!spokeProductId && spokeComponent.variantId && componentData) {
-             const spokeData = componentData.get(spokeComponent.variantId);
-             spokeProductId = spokeData?.['_parent_product_id'];
+/**
+Re-runs the engine for a (changed) build recipe and moves only the net inventory
+difference against the ledger's open entries, then saves the updated ledger.
+With `preview` nothing is applied or saved and the statuses say what would happen.
+@param {boolean} revised - Marks the note and email as REVISED (admin recalculations).
+@returns {Promise<object|null>} The revision (old vs new per wheel/side, net adjustments, new report), or null if the calculation could not run.
+*/
+async function reconcileBuildWithLedger({ orderData, ledger, wheelBuildLineItem, buildLineItems = [wheelBuildLineItem], buildRecipe, recipeHash, processing, reason, preview = false, revised = false }) {
+    const orderGid = orderData.admin_graphql_api_id;
+    const quantity = orderedQuantity(orderData, wheelBuildLineItem);
+    const openEntries = getOpenEntries(ledger).filter(entry => String(entry.lineItemId) === String(wheelBuildLineItem.id));
+
+    // An interrupted attempt already sent (or tried to send) its net changes: finish on the plan
+    // it sent them for, not on variants and locations re-resolved against stock that has moved
+    const checkpoint = preview ? null : processing.getStep('net-inventory');
+    const plan = checkpoint?.plan || await planBuildRevision({ orderData, wheelBuildLineItem, buildLineItems, buildRecipe, quantity, refunded: getLedgerBuild(ledger, wheelBuildLineItem.id)?.refunded, openEntries });
+    if (!plan) return null;
+    const { report, keepWheels, diff, state } = plan;
+    const reorderThresholds = new Map(Object.entries(plan.reorderThresholds));
+
+    // 3. Apply only the net deltas
+    const previousEntries = [...diff.replaced.map(pair => pair.previous), ...diff.removed];
+    const nextEntries = [...diff.replaced.map(pair => pair.next), ...diff.added];
+    const netResults = new Map();
+
+    // All net changes go out as one all-or-nothing adjustment
+    let batch = preview ? { outcome: 'preview' } : checkpoint;
+    if (!batch) {
+        await processing.setStep('net-inventory', { outcome: 'pending', plan });
+        batch = await applyAllOrNothing(diff.netChanges, (changes) => applyInventoryChanges(changes, orderGid, state));
+        await processing.setStep('net-inventory', { ...batch, plan });
+    }
+    const unreversed = new Set((batch.unreversed || []).map(inventoryChangeKey));
+    const unknown = new Set((batch.unknown || []).map(inventoryChangeKey));
+
+    for (const change of diff.netChanges) {
+        const key = inventoryChangeKey(change);
+        const source = [...nextEntries, ...previousEntries].find(e => e.inventoryItemId === change.inventoryItemId);
+        let status;
+        let stockAlert = null;
+
+        if (batch.outcome === 'preview') {
+            if (state) {
+                status = change.delta > 0 ? 'Would release' : 'Would reserve';
+            } else {
+                status = change.delta > 0 ? 'Would restock' : 'Would deduct';
+            }
+        } else if (batch.outcome === 'applied') {
+            if (state) {
+                status = change.delta > 0 ? 'Released' : 'Reserved';
+            } else {
+                status = change.delta > 0 ? 'Restocked' : 'Adjusted';
+            }
+            stockAlert = evaluateStockLevel({ quantityAfter: batch.quantitiesAfter[key], delta: change.delta, threshold: reorderThresholds.get(change.inventoryItemId) });
+        } else if (batch.outcome === 'pending') {
+            status = 'ACTION REQUIRED (Interrupted, verify stock manually)';
+        } else if (unknown.has(key)) {
+            status = 'ACTION REQUIRED (No answer from Shopify, verify stock manually)';
+        } else if (unreversed.has(key)) {
+            status = 'ACTION REQUIRED (Applied, but the rollback failed)';
+        } else {
+            status = 'FAILED (rolled back)';
         }
+        const moved = batch.outcome === 'applied' || batch.outcome === 'preview' || unreversed.has(key);
+        netResults.set(key, { ...change, length: source?.length, color: source?.color, component: source?.component, description: source?.description, status, stockAlert, moved });
+    }
 
-        if (!spokeProductId) {
-             console.error(`Could not determine Product ID for ${position} spokes during restock.`);
-             restockNote += `- ${position.toUpperCase()}: FAILED (Missing Product ID)\n`;
-             // Skip the restock actions for this wheel side to keep the index aligned
-             actionIndex += 2; 
-             continue;
-        }
-        // ---------------------------------------
+    // 4. Update the ledger per inventory item: a net change that did not stick leaves that item's
+    // old entries open and its new entries unrecorded, which matches what is on the shelf.
+    const itemMoved = (entry) => {
+        const result = netResults.get(inventoryChangeKey(entry));
+        return !result || result.moved;
+    };
 
-        const colorOption = spokeComponent.selectedOptions.find(opt => opt.name === 'Color');
-        const selectedColor = colorOption ? colorOption.value : null;
+    const nextRevision = (ledger.revision || 0) + 1;
+    let ledgerConflict = false;
 
-        if (!selectedColor) {
-            restockNote += `- ${position.toUpperCase()}: SKIPPED (Could not determine original color)\n`;
-            continue;
+    if (!preview) {
+        ledger.revision = nextRevision;
+        for (const entry of previousEntries) {
+            if (itemMoved(entry)) markEntrySuperseded(ledger, entry.id, nextRevision);
         }
-
-        let inventoryColor = selectedColor;
-        if (spokeComponent.vendor === 'Berd' && selectedColor !== 'Black Berd' && selectedColor !== 'White Berd') {
-            inventoryColor = 'White Berd'; 
+        for (const entry of nextEntries) {
+            if (itemMoved(entry)) addLedgerEntry(ledger, { ...entry, ...(state && { state }) });
         }
-
-        // Process Left Side
-        if (actionIndex < restockActions.length) {
-            const action = restockActions[actionIndex++];
-            const variant = await findVariantForLengthAndColor(spokeProductId, action.length, inventoryColor);
-            if (variant) {
-                const success = await adjustInventory(variant.inventoryItemId, action.quantity, `gid://shopify/Location/${locationId}`, orderData.admin_graphql_api_id);
-                const status = success ? "Restocked" : "FAILED";
-                restockNote += `- Left (${position}): ${action.quantity} x ${action.length}mm (${inventoryColor}) - ${status}\n`;
-            } else {
-                restockNote += `- Left (${position}): ${action.quantity} x ${action.length}mm (${inventoryColor}) - FAILED (Variant not found)\n`;
+        recordLedgerBuild(ledger, { lineItemId: wheelBuildLineItem.id, buildId: buildRecipe.buildId, recipeHash, quantity });
+
+        // The inventory has already moved, so a refused save is reported instead of retried
+        let ledgerStep = processing.getStep('ledger');
+        if (!ledgerStep) {
+            try {
+                await saveOrderLedger(orderGid, ledger);
+                ledgerStep = true;
+            } catch (error) {
+                if (!error.conflict) throw error;
+                console.error(`🚨 ${error.message} The revision's inventory changes were not recorded on it.`);
+                ledgerStep = 'conflict';
             }
+            await processing.setStep('ledger', ledgerStep);
         }
-        // Process Right Side
-        if (actionIndex < restockActions.length) {
-            const action = restockActions[actionIndex++];
-            const variant = await findVariantForLengthAndColor(spokeProductId, action.length, inventoryColor);
-            if (variant) {
-                const success = await adjustInventory(variant.inventoryItemId, action.quantity, `gid://shopify/Location/${locationId}`, orderData.admin_graphql_api_id);
-                const status = success ? "Restocked" : "FAILED";
-                restockNote += `- Right (${position}): ${action.quantity} x ${action.length}mm (${inventoryColor}) - ${status}\n`;
+        ledgerConflict = ledgerStep === 'conflict';
+    }
+
+    // 5. Summarise old vs new per wheel/side for the note and email
+    const changes = [];
+    const slots = [{ side: 'left' }, { side: 'right' }, ...HARDWARE_COMPONENTS.map(({ component }) => ({ component }))];
+    const summarize = (entry) => entry.component
+        ? { description: entry.description, quantity: -entry.delta }
+        : { length: entry.length, cutLength: entry.cutLength, quantity: -entry.delta, spares: entry.spares, color: entry.color };
+    for (const position of ['front', 'rear']) {
+        for (const slot of slots) {
+            const slotKey = entrySlot({ wheel: position, ...slot });
+            const previous = previousEntries.find(e => entrySlot(e) === slotKey)
+                || diff.unchanged.find(e => entrySlot(e) === slotKey);
+            const next = nextEntries.find(e => entrySlot(e) === slotKey)
+                || diff.unchanged.find(e => entrySlot(e) === slotKey);
+            const inventory = slot.side
+                ? report[position]?.inventory?.[slot.side]
+                : report[position]?.hardware?.find(part => part.component === slot.component);
+
+            if (!previous && !next && !inventory) continue;
+
+            let status;
+            if (keepWheels.includes(position)) {
+                status = `Unchanged (recalculation failed: ${report[position]?.error || inventory?.status})`;
+            } else if (previous && next && previous === next) {
+                status = 'Unchanged';
+            } else if (next && preview) {
+                status = 'Would update';
+            } else if (next) {
+                status = itemMoved(next) ? 'Updated' : 'FAILED';
+            } else if (previous && preview) {
+                status = `Would ${state ? 'release' : 'restock'} (no longer needed)`;
+            } else if (previous) {
+                status = itemMoved(previous) ? `${state ? 'Released' : 'Restocked'} (no longer needed)` : 'FAILED';
             } else {
-                restockNote += `- Right (${position}): ${action.quantity} x ${action.length}mm (${inventoryColor}) - FAILED (Variant not found)\n`;
+                status = inventory.status;
             }
+
+            if (inventory && inventory.status === 'Pending') inventory.status = status;
+            changes.push({
+                wheel: position,
+                ...slot,
+                old: previous ? summarize(previous) : null,
+                new: next ? summarize(next) : null,
+                status
+            });
         }
     }
 
-    await addNoteToOrder(orderData.admin_graphql_api_id, restockNote);
+    return {
+        reason,
+        revision: nextRevision,
+        revised,
+        hasChanges: diff.replaced.length + diff.removed.length + diff.added.length > 0,
+        changes,
+        netChanges: Array.from(netResults.values()),
+        inventoryOutcome: diff.netChanges.length > 0 ? describeBatchOutcome(batch) : null,
+        ledgerConflict,
+        report,
+        buildRecipe
+    };
 }
 
+// Lowest per-spoke tension we accept on the slack side before flagging the build.
+// A rim can override it with `rim_min_tension_kgf`.
+const DEFAULT_MIN_SPOKE_TENSION_KGF = parseFloat(process.env.DEFAULT_MIN_SPOKE_TENSION_KGF) || 50;
+
+// Shallowest angle a J-bend or hook flange spoke may leave its flange at, measured against the flange tangent.
+const MIN_SPOKE_EXIT_ANGLE_DEG = parseFloat(process.env.MIN_SPOKE_EXIT_ANGLE_DEG) || 5;
+
+// 'Geometric' rounds the raw length (the original behavior); 'Tensioned' rounds the length the
+// spoke should have once stretched, so a spoke product can opt in with `spoke_rounding_basis`.
+const DEFAULT_ROUNDING_BASIS = process.env.SPOKE_ROUNDING_BASIS || 'Geometric';
+
 function runCalculationEngine(buildRecipe, componentData) {
     console.log("--- RUNNING CALCULATION ENGINE V4 (with FINAL buildType fix) ---");
 
@@ -532,6 +2302,15 @@ function runCalculationEngine(buildRecipe, componentData) {
             return { calculationSuccessful: false, error: `Skipping calculation: Customer is supplying their own ${position} rim.` };
         }
 
+        // --- SPOKE DISTRIBUTION (e.g. 2:1 hubs put twice as many spokes on the drive side) ---
+        const spokeRatio = getMeta(hub.variantId, hub.productId, 'hub_spoke_ratio');
+        const spokesPerSide = getSpokeDistribution(spokeCount, spokeRatio);
+        if (spokesPerSide.error) {
+            return { calculationSuccessful: false, error: spokesPerSide.error };
+        }
+        const isEvenSplit = spokesPerSide.left === spokesPerSide.right;
+        const spokeDistribution = isEvenSplit ? null : `L ${spokesPerSide.left} / R ${spokesPerSide.right} (ratio ${spokeRatio})`;
+
         // --- DETERMINING CROSS PATTERN ---
         let crossL, crossR;
         let lacingAlert = null;
@@ -539,29 +2318,77 @@ function runCalculationEngine(buildRecipe, componentData) {
         const hubLacingPolicy = getMeta(hub.variantId, hub.productId, 'hub_lacing_policy');
         const manualCrossOverride = getMeta(hub.variantId, hub.productId, 'hub_manual_cross_value', true, 0);
 
+        // Per-side lacing (e.g. 2x drive / radial non-drive). A build recipe spec beats the hub metafield.
+        const parseCross = (value) => {
+            if (value === undefined || value === null || value === '') return null;
+            const cross = parseInt(value, 10);
+            return isNaN(cross) || cross < 0 ? null : cross;
+        };
+        const sideSources = { left: null, right: null };
+        const sideCross = { left: null, right: null };
+        for (const side of ['left', 'right']) {
+            const Side = side === 'left' ? 'Left' : 'Right';
+            const fromRecipe = parseCross(buildRecipe.specs[`${position}Cross${Side}`]);
+            const fromHub = parseCross(getMeta(hub.variantId, hub.productId, `hub_lacing_cross_${side}`));
+            if (fromRecipe !== null) {
+                sideCross[side] = fromRecipe;
+                sideSources[side] = `build spec ${position}Cross${Side}`;
+            } else if (fromHub !== null) {
+                sideCross[side] = fromHub;
+                sideSources[side] = `hub_lacing_cross_${side}`;
+            }
+        }
+
+        // Symmetric default used for any side without its own setting
+        let defaultCross, defaultReason;
+        if (position === 'front' && buildRecipe.specs.brakeStyle === 'Rim Brake' && spokeCount <= 24) {
+            defaultCross = 0;
+            defaultReason = "Front Rim Brake (<=24h) detected. Defaulting to Radial (0-cross) lacing.";
+        } else {
+            // If no specific policy exists, use standard geometric defaults.
+            // Straight pull hubs are almost never radial, so we default to 2 or 3 crosses.
+            defaultCross = (spokeCount >= 28) ? 3 : 2;
+            defaultReason = null;
+        }
+
+        // On uneven hubs the sparse flange may not fit the default, so each side gets the
+        // highest cross its own hole count allows.
+        const defaultFor = (side) => {
+            let cross = defaultCross;
+            if (!isEvenSplit) {
+                while (cross > 0 && !isLacingPossible(spokeCount, cross, spokesPerSide[side])) cross--;
+            }
+            return cross;
+        };
+        const unevenNote = (!isEvenSplit && (defaultFor('left') !== defaultCross || defaultFor('right') !== defaultCross))
+            ? ` Uneven split (${spokesPerSide.left}/${spokesPerSide.right}): default reduced to ${defaultFor('left')}/${defaultFor('right')}-cross to fit each flange.`
+            : '';
+
         // PRIORITY 1: Manual Override (Warranty/Special cases)
         if (hubLacingPolicy === 'Use Manual Override Field' && manualCrossOverride >= 0) {
             lacingAlert = `Hub policy override applied. Using ${manualCrossOverride}-cross.`;
             crossL = manualCrossOverride;
             crossR = manualCrossOverride;
         } 
-        // PRIORITY 2: Front Rim Brake Default (RADIAL - ONLY for low spoke counts)
-        else if (position === 'front' && buildRecipe.specs.brakeStyle === 'Rim Brake' && spokeCount <= 24) {
-            lacingAlert = "Front Rim Brake (<=24h) detected. Defaulting to Radial (0-cross) lacing.";
-            crossL = 0;
-            crossR = 0;
+        // PRIORITY 2: Per-side lacing from the build spec or hub metafields
+        else if (sideSources.left || sideSources.right) {
+            crossL = sideCross.left ?? defaultFor('left');
+            crossR = sideCross.right ?? defaultFor('right');
+            const describe = (side, cross) => sideSources[side]
+                ? `${side === 'left' ? 'L' : 'R'} ${cross}-cross (${sideSources[side]})`
+                : `${side === 'left' ? 'L' : 'R'} ${cross}-cross (default)`;
+            lacingAlert = `Per-side lacing applied: ${describe('left', crossL)}, ${describe('right', crossR)}.`;
         }
-        // PRIORITY 3: Standard Defaults (Disc or Rear wheels)
+        // PRIORITY 3: Front Rim Brake Default (RADIAL - ONLY for low spoke counts) or Standard Defaults (Disc or Rear wheels)
         else {
-    // If no specific policy exists, use standard geometric defaults.
-    // Straight pull hubs are almost never radial, so we default to 2 or 3 crosses.
-    const defaultCross = (spokeCount >= 28) ? 3 : 2;
-    crossL = defaultCross;
-    crossR = defaultCross;
-}
+            crossL = defaultFor('left');
+            crossR = defaultFor('right');
+            lacingAlert = ((defaultReason || '') + unevenNote).trim() || null;
+        }
         
         const hubType = getMeta(hub.variantId, hub.productId, 'hub_type');
 
+
         const hubDimensions = {
             hubType: hubType,
             pcd_l: getMeta(hub.variantId, hub.productId, 'hub_flange_diameter_left', true),
@@ -572,7 +2399,74 @@ function runCalculationEngine(buildRecipe, componentData) {
             spo_l: getMeta(hub.variantId, hub.productId, 'hub_sp_offset_spoke_hole_left', true),
             spo_r: getMeta(hub.variantId, hub.productId, 'hub_sp_offset_spoke_hole_right', true)
         };
+
+        // --- SPOKE FAMILY: washers, length correction, rounding and elongation come from the registry ---
+        const family = resolveSpokeFamily({
+            modelGroup: getMeta(spokes.variantId, spokes.productId, 'spoke_model_group'),
+            vendor: spokes.vendor,
+            title: spokes.title
+        });
+
+        // Washers sit between nipple and rim, so every check and length below uses the washer-adjusted ERD
+        const erd = getMeta(rim.variantId, rim.productId, 'rim_erd', true);
+        const washerThickness = getMeta(rim.variantId, rim.productId, 'nipple_washer_thickness', true);
+        const washer = family.washerPolicy(getMeta(rim.variantId, rim.productId, 'rim_washer_policy'));
+        const finalErd = washer.addWashers ? erd + (2 * washerThickness) : erd;
+
+        // --- INTERFERENCE CHECK: flange exit angle, neighboring spoke heads and straight-pull seat angle ---
+        // A side that interferes drops to the highest cross that clears. A manual override, and a family
+        // that opts out of lacing validation (Berd), is only reported.
+        const isManualOverride = hubLacingPolicy === 'Use Manual Override Field' && manualCrossOverride >= 0;
+        const checkSide = (side, cross) => checkSpokeInterference({
+            hubType,
+            crossPattern: cross,
+            sideSpokeCount: spokesPerSide[side],
+            hubFlangeDiameter: side === 'left' ? hubDimensions.pcd_l : hubDimensions.pcd_r,
+            finalErd,
+            headDiameterMm: getMeta(spokes.variantId, spokes.productId, 'spoke_head_diameter_mm', true, 4.0),
+            spokeDiameterMm: getMeta(spokes.variantId, spokes.productId, 'spoke_diameter_mm', true, 2.0),
+            minExitAngleDeg: MIN_SPOKE_EXIT_ANGLE_DEG,
+            seatAngleDeg: getMeta(hub.variantId, hub.productId, 'hub_sp_seat_angle_deg', true, null),
+            maxSeatDeviationDeg: getMeta(hub.variantId, hub.productId, 'hub_sp_max_seat_deviation_deg', true, 8)
+        });
+        const interference = {};
+        const interferenceNotes = [];
+        for (const side of ['left', 'right']) {
+            const { cross, check, notes } = resolveInterferenceCross({
+                side,
+                requestedCross: side === 'left' ? crossL : crossR,
+                checkAtCross: (candidate) => checkSide(side, candidate),
+                allowDrop: !isManualOverride && family.validatesLacing
+            });
+            interferenceNotes.push(...notes);
+            interference[side] = {
+                hubType,
+                cross,
+                exitAngleDeg: check.exitAngleDeg.toFixed(1),
+                headClearanceMm: check.headClearanceMm === null ? null : check.headClearanceMm.toFixed(1),
+                seatDeviationDeg: check.seatDeviationDeg === null ? null : check.seatDeviationDeg.toFixed(1),
+                problems: check.problems
+            };
+            if (side === 'left') crossL = cross; else crossR = cross;
+        }
+        if (interferenceNotes.length > 0) {
+            lacingAlert = [lacingAlert, ...interferenceNotes].filter(Boolean).join(' ');
+        }
         
+        // --- Validate each side on its own (J-Bend AND Hook Flange) ---
+        // Straight Pull is excluded because it uses tangential geometry, and so are families
+        // that opt out (Berd builds have never been held to this check).
+        if (hubType !== 'Straight Pull' && family.validatesLacing) {
+            const impossibleSides = [['Left', crossL, spokesPerSide.left], ['Right', crossR, spokesPerSide.right]]
+                .filter(([, cross, sideSpokeCount]) => !isLacingPossible(spokeCount, cross, sideSpokeCount));
+            if (impossibleSides.length > 0) {
+                return { 
+                    calculationSuccessful: false, 
+                    error: `Lacing pattern ${crossL}/${crossR} is not geometrically possible for this ${hubType} hub (${impossibleSides.map(([side, cross, sideSpokeCount]) => `${side} ${cross}-cross on ${sideSpokeCount} holes`).join(', ')}: lacing angle reaches 90°).` 
+                };
+            }
+        }
+
         // --- Calculate effective flanges early to use for BOTH spoke types ---
         const rimAsymmetry = getMeta(rim.variantId, rim.productId, 'rim_spoke_hole_offset', true);
         const rawFlangeL = getMeta(hub.variantId, hub.productId, 'hub_flange_offset_left', true);
@@ -586,91 +2480,154 @@ function runCalculationEngine(buildRecipe, componentData) {
             effectiveFlangeL = rawFlangeL - rimAsymmetry;
             effectiveFlangeR = rawFlangeR + rimAsymmetry;
         }
+
+        // --- TENSION BALANCE: the flatter-braced side can only carry a fraction of the target tension ---
+        const targetTensionKgf = getMeta(rim.variantId, rim.productId, 'rim_target_tension_kgf', true, 120);
+        const minTensionKgf = getMeta(rim.variantId, rim.productId, 'rim_min_tension_kgf', true, DEFAULT_MIN_SPOKE_TENSION_KGF);
+        const analyzeTension = (finalErd) => {
+            const balance = calculateTensionBalance({
+                hubType, finalErd, crossL, crossR, targetTensionKgf,
+                pcdL: hubDimensions.pcd_l, pcdR: hubDimensions.pcd_r,
+                flangeL: effectiveFlangeL, flangeR: effectiveFlangeR,
+                spokesL: spokesPerSide.left, spokesR: spokesPerSide.right
+            });
+            const format = (side) => ({
+                bracingAngleDeg: side.bracingAngleDeg.toFixed(2),
+                tensionPercent: side.tensionPercent.toFixed(0),
+                tensionKgf: side.tensionKgf.toFixed(1)
+            });
+            let warning = null;
+            if (balance.lowSide && balance[balance.lowSide].tensionKgf < minTensionKgf) {
+                warning = `${balance.lowSide === 'left' ? 'Left' : 'Right'} side tension ${balance[balance.lowSide].tensionKgf.toFixed(1)} kgf is below the ${minTensionKgf} kgf minimum. Expect a soft, loosening-prone ${balance.lowSide === 'left' ? 'left' : 'right'} side.`;
+            }
+            return { left: format(balance.left), right: format(balance.right), lowSide: balance.lowSide, minTensionKgf, warning };
+        };
             
-        if (spokes.vendor === 'Berd') {
-            // REFINEMENT: Use .toLowerCase() so "PolyLightX" and "polylightx" both work.
-            const spokeTitle = (spokes.title || "").toLowerCase();
-            const spokeGroup = (getMeta(spokes.variantId, spokes.productId, 'spoke_model_group') || "").toLowerCase();
-            const isPolylightX = spokeTitle.includes('polylightx') || spokeGroup.includes('polylightx');
-
-            const baseErd = getMeta(rim.variantId, rim.productId, 'rim_erd', true);
-            const washerThickness = getMeta(rim.variantId, rim.productId, 'nipple_washer_thickness', true);
-            const finalErd = baseErd + (2 * washerThickness);
-            
-            const metalLengthL = calculateSpokeLength({ isLeft: true, hubType, baseCrossPattern: crossL, spokeCount, finalErd, hubFlangeDiameter: getMeta(hub.variantId, hub.productId, 'hub_flange_diameter_left', true), flangeOffset: effectiveFlangeL, spOffset: getMeta(hub.variantId, hub.productId, 'hub_sp_offset_spoke_hole_left', true), hubSpokeHoleDiameter: getMeta(hub.variantId, hub.productId, 'hub_spoke_hole_diameter', true, 2.6) });
-            const metalLengthR = calculateSpokeLength({ isLeft: false, hubType, baseCrossPattern: crossR, spokeCount, finalErd, hubFlangeDiameter: getMeta(hub.variantId, hub.productId, 'hub_flange_diameter_right', true), flangeOffset: effectiveFlangeR, spOffset: getMeta(hub.variantId, hub.productId, 'hub_sp_offset_spoke_hole_right', true), hubSpokeHoleDiameter: getMeta(hub.variantId, hub.productId, 'hub_spoke_hole_diameter', true, 2.6) });
-            const berdContext = { flangeL: effectiveFlangeL, flangeR: effectiveFlangeR, metalLengthL, metalLengthR };
-            const finalBerdLengthL = calculateBerdFinalLength(metalLengthL, hubType, true, berdContext);
-            const finalBerdLengthR = calculateBerdFinalLength(metalLengthR, hubType, false, berdContext);
-            
-            return {
+        const commonParams = { hubType, spokeCount, finalErd, hubSpokeHoleDiameter: getMeta(hub.variantId, hub.productId, 'hub_spoke_hole_diameter', true, 2.6) };
+        const paramsLeft = { ...commonParams, isLeft: true, baseCrossPattern: crossL, sideSpokeCount: spokesPerSide.left, hubFlangeDiameter: getMeta(hub.variantId, hub.productId, 'hub_flange_diameter_left', true), flangeOffset: effectiveFlangeL, spOffset: getMeta(hub.variantId, hub.productId, 'hub_sp_offset_spoke_hole_left', true) };
+        const paramsRight = { ...commonParams, isLeft: false, baseCrossPattern: crossR, sideSpokeCount: spokesPerSide.right, hubFlangeDiameter: getMeta(hub.variantId, hub.productId, 'hub_flange_diameter_right', true), flangeOffset: effectiveFlangeR, spOffset: getMeta(hub.variantId, hub.productId, 'hub_sp_offset_spoke_hole_right', true) };
+
+        const corrected = family.correctLengths({
+            metalLengthL: calculateSpokeLength(paramsLeft),
+            metalLengthR: calculateSpokeLength(paramsRight),
+            hubType,
+            flangeL: effectiveFlangeL,
+            flangeR: effectiveFlangeR
+        });
+        const tension = analyzeTension(finalErd);
+
+        // --- ROUNDING POLICY: family default, overridden by the spoke product's rounding metafields ---
+        const roundingPolicy = parseRoundingPolicy({
+            stepMm: getMeta(spokes.variantId, spokes.productId, ROUNDING_STEP_KEY),
+            direction: getMeta(spokes.variantId, spokes.productId, ROUNDING_DIRECTION_KEY),
+            offsetMm: getMeta(spokes.variantId, spokes.productId, ROUNDING_OFFSET_KEY),
+            minLengthMm: getMeta(spokes.variantId, spokes.productId, MIN_LENGTH_KEY),
+            maxLengthMm: getMeta(spokes.variantId, spokes.productId, MAX_LENGTH_KEY)
+        }, family.rounding);
+        const roundLength = (length) => applyRoundingPolicy(length, roundingPolicy);
+        const rangeError = (lengths) => {
+            const problems = ['left', 'right']
+                .map(side => [side, checkStockedRange(lengths[side].rounded, roundingPolicy)])
+                .filter(([, problem]) => problem)
+                .map(([side, problem]) => `${side === 'left' ? 'Left' : 'Right'} ${problem}`);
+            return problems.length > 0 ? { calculationSuccessful: false, error: `${problems.join('; ')}.` } : null;
+        };
+
+        const inputs = { rim: rimTitleWithSize, hub: hub.title, spokes: spokes.title, spokeFamily: family.label, lengthLabel: family.lengthLabel, roundingPolicy: describeRoundingPolicy(roundingPolicy), rimAsymmetry: rimAsymmetry, erd: erd, washerPolicy: washer.policy, addWashers: washer.addWashers, washerThickness: washerThickness, finalErd: finalErd.toFixed(2), targetTension: targetTensionKgf, spokeDistribution: spokeDistribution, hubDimensions: hubDimensions };
+
+        // Families without an elongation model (e.g. Berd) are done once corrected and rounded
+        if (!family.elongationModel) {
+            const lengths = {
+                left: { geo: corrected.left.toFixed(2), rounded: roundLength(corrected.left) },
+                right: { geo: corrected.right.toFixed(2), rounded: roundLength(corrected.right) }
+            };
+            return rangeError(lengths) || {
                 calculationSuccessful: true,
                 crossPattern: { left: crossL, right: crossR },
+                spokesPerSide,
                 alert: lacingAlert,
-                lengths: {
-                    left: { 
-                        geo: finalBerdLengthL.toFixed(2), 
-                        rounded: applyRounding(finalBerdLengthL, 'Berd', isPolylightX) 
-                    },
-                    right: { 
-                        geo: finalBerdLengthR.toFixed(2), 
-                        rounded: applyRounding(finalBerdLengthR, 'Berd', isPolylightX) 
-                    }
-                },
-                inputs: { 
-                    rim: rimTitleWithSize, 
-                    hub: hub.title, 
-                    spokes: spokes.title, 
-                    rimAsymmetry: rimAsymmetry, 
-                    erd: baseErd, 
-                    washerPolicy: "Mandatory (Berd)", 
-                    washerThickness: washerThickness, 
-                    finalErd: finalErd.toFixed(2), 
-                    targetTension: getMeta(rim.variantId, rim.productId, 'rim_target_tension_kgf', true, 120), 
-                    hubDimensions: hubDimensions 
-                }
+                interference,
+                tension,
+                lengths,
+                inputs
             };
-        } else { // Steel spoke logic
-            let erd = getMeta(rim.variantId, rim.productId, 'rim_erd', true); 
-            const washerPolicy = getMeta(rim.variantId, rim.productId, 'rim_washer_policy');
-            const washerThickness = getMeta(rim.variantId, rim.productId, 'nipple_washer_thickness', true);
-            let finalErd = erd;
-            if (washerPolicy !== 'Not Compatible') {
-                finalErd += (2 * washerThickness);
-            }
-        
-            // This ensures J-Bend AND Hook Flange are checked for safety.
-// Straight Pull is excluded because it uses tangential geometry.
-if (hubType !== 'Straight Pull') {
-    if (!isLacingPossible(spokeCount, crossL) || !isLacingPossible(spokeCount, crossR)) {
-        return { 
-            calculationSuccessful: false, 
-            error: `Lacing pattern ${crossL}/${crossR} is not geometrically possible for this ${hubType} hub.` 
+        }
+
+        // --- Elongation model: stretch, tensioned fit and nipple engagement ---
+        const lengthL = corrected.left;
+        const lengthR = corrected.right;
+        const crossArea = getMeta(spokes.variantId, spokes.productId, 'spoke_cross_section_area_mm2', true);
+
+        // --- Stretch per material and butting profile, at the rim's target tension on both sides ---
+        // (the balanced per-side tension above is reported only, so existing steel builds keep their lengths)
+        const spokeMaterial = resolveModulus(getMeta(spokes.variantId, spokes.productId, MATERIAL_KEY), getMeta(spokes.variantId, spokes.productId, MODULUS_KEY));
+        let buttingProfile = parseButtingProfile(getMeta(spokes.variantId, spokes.productId, BUTTING_PROFILE_KEY));
+        let profileAlert = null;
+        if (buttingProfile?.error) {
+            profileAlert = `${buttingProfile.error} Stretch uses spoke_cross_section_area_mm2 instead.`;
+            buttingProfile = null;
+        }
+        const stretchFor = (length) => buttingProfile
+            ? calculateSegmentedElongation(layoutSegments(buttingProfile, length), targetTensionKgf, spokeMaterial.modulusGpa)
+            : calculateElongation(length, targetTensionKgf, crossArea, spokeMaterial.modulusGpa);
+
+        // --- Rounding basis: geometric length, or the ideal tensioned length (geo - stretch + engagement target) ---
+        const roundingBasis = (getMeta(spokes.variantId, spokes.productId, 'spoke_rounding_basis') || DEFAULT_ROUNDING_BASIS).toLowerCase().startsWith('tension') ? 'Tensioned' : 'Geometric';
+        const engagementTargetMm = getMeta(spokes.variantId, spokes.productId, 'spoke_engagement_target_mm', true, 0);
+        const sideLengths = (length) => {
+            const stretch = stretchFor(length);
+            const ideal = calculateIdealTensionedLength(length, stretch, engagementTargetMm);
+            const rounded = roundLength(roundingBasis === 'Tensioned' ? ideal : length);
+            return { geo: length.toFixed(2), stretch: stretch.toFixed(2), ideal: ideal.toFixed(2), fitDelta: (rounded - ideal).toFixed(2), rounded };
         };
-    }
-}
-            
-            const commonParams = { hubType, spokeCount, finalErd, hubSpokeHoleDiameter: getMeta(hub.variantId, hub.productId, 'hub_spoke_hole_diameter', true, 2.6) };
-            const paramsLeft = { ...commonParams, isLeft: true, baseCrossPattern: crossL, hubFlangeDiameter: getMeta(hub.variantId, hub.productId, 'hub_flange_diameter_left', true), flangeOffset: effectiveFlangeL, spOffset: getMeta(hub.variantId, hub.productId, 'hub_sp_offset_spoke_hole_left', true) };
-            const paramsRight = { ...commonParams, isLeft: false, baseCrossPattern: crossR, hubFlangeDiameter: getMeta(hub.variantId, hub.productId, 'hub_flange_diameter_right', true), flangeOffset: effectiveFlangeR, spOffset: getMeta(hub.variantId, hub.productId, 'hub_sp_offset_spoke_hole_right', true) };
-            
-            const lengthL = calculateSpokeLength(paramsLeft);
-            const lengthR = calculateSpokeLength(paramsRight);
-            
-            const tensionKgf = getMeta(rim.variantId, rim.productId, 'rim_target_tension_kgf', true, 120);
-            const crossArea = getMeta(spokes.variantId, spokes.productId, 'spoke_cross_section_area_mm2', true);
-            
+        const lengths = {
+            left: sideLengths(lengthL),
+            right: sideLengths(lengthR)
+        };
+        const outOfRange = rangeError(lengths);
+        if (outOfRange) return outOfRange;
+
+        // --- NIPPLE ENGAGEMENT: where the rounded spoke ends up in the nipple once stretched ---
+        const nipples = buildRecipe.components[`${position}Nipples`];
+        const nippleLengthMm = (nipples && getMeta(nipples.variantId, nipples.productId, NIPPLE_LENGTH_KEY, true, 0))
+            || getMeta(spokes.variantId, spokes.productId, NIPPLE_LENGTH_KEY, true, DEFAULT_NIPPLE_LENGTH_MM);
+        const threadLengthMm = getMeta(spokes.variantId, spokes.productId, THREAD_LENGTH_KEY, true, DEFAULT_THREAD_LENGTH_MM);
+        const rimInternalHeightMm = getMeta(rim.variantId, rim.productId, RIM_INTERNAL_HEIGHT_KEY, true, 0);
+        const engagementLimits = getEngagementLimits();
+        const engagementFor = (sideLength, geoLength) => {
+            const result = calculateNippleEngagement({ endPosition: sideLength.rounded + Number(sideLength.stretch) - geoLength, nippleLengthMm, threadLengthMm });
             return {
-                calculationSuccessful: true,
-                crossPattern: { left: crossL, right: crossR },
-                alert: lacingAlert,
-                lengths: {
-                    left: { geo: lengthL.toFixed(2), stretch: calculateElongation(lengthL, tensionKgf, crossArea).toFixed(2), rounded: applyRounding(lengthL, 'Steel') },
-                    right: { geo: lengthR.toFixed(2), stretch: calculateElongation(lengthR, tensionKgf, crossArea).toFixed(2), rounded: applyRounding(lengthR, 'Steel') }
-                },
-                inputs: { rim: rimTitleWithSize, hub: hub.title, spokes: spokes.title, rimAsymmetry: rimAsymmetry, erd: erd, washerPolicy: washerPolicy, washerThickness: washerThickness, finalErd: finalErd.toFixed(2), targetTension: tensionKgf, hubDimensions: hubDimensions }
+                engagement: result.engagement.toFixed(1),
+                protrusion: result.protrusion.toFixed(1),
+                exposedThread: result.exposedThread.toFixed(1),
+                problems: evaluateEngagement(result, { minEngagementMm: engagementLimits.minEngagementMm, rimInternalHeightMm })
             };
+        };
+        const nippleEngagement = {
+            nippleLengthMm, threadLengthMm, rimInternalHeightMm,
+            left: engagementFor(lengths.left, lengthL),
+            right: engagementFor(lengths.right, lengthR),
+            warning: null
+        };
+        const engagementProblems = ['left', 'right'].flatMap(side => nippleEngagement[side].problems.map(problem => `${side === 'left' ? 'Left' : 'Right'} ${lengths[side].rounded}mm ${problem}`));
+        if (engagementProblems.length > 0) {
+            if (engagementLimits.policy === 'fail') {
+                return { calculationSuccessful: false, error: `Nipple engagement check failed: ${engagementProblems.join('; ')}.` };
+            }
+            nippleEngagement.warning = engagementProblems.join('; ');
         }
+        
+        return {
+            calculationSuccessful: true,
+            crossPattern: { left: crossL, right: crossR },
+            spokesPerSide,
+            alert: [lacingAlert, profileAlert].filter(Boolean).join(' ') || null,
+            interference,
+            tension,
+            nippleEngagement,
+            lengths,
+            inputs: { ...inputs, spokeProfile: describeSpokeProfile(spokeMaterial, buttingProfile), roundingBasis: roundingBasis, engagementTargetMm: engagementTargetMm }
+        };
     };
     
     try {
@@ -691,8 +2648,121 @@ if (hubType !== 'Straight Pull') {
     return results;
 }
 
+function formatStockAlert(stockAlert) {
+    return stockAlert ? ` [${stockAlert.message}]` : '';
+}
+
+function stockAlertHtml(stockAlert) {
+    return stockAlert ? ` <span style="color: #D8000C; font-weight: bold;">⚠ ${stockAlert.message}</span>` : '';
+}
+
+// Flattens every inventory side carrying the given flag (e.g. 'stockAlert', 'substitution')
+// into { wheel, side, length, color, ... }. Nipples and washers come through as { wheel, component, description, ... }.
+function collectInventorySides(report, flag) {
+    const sides = [];
+    for (const position of ['front', 'rear']) {
+        const inventory = report[position]?.inventory;
+        if (inventory) {
+            for (const side of ['left', 'right']) {
+                if (inventory[side]?.[flag]) {
+                    sides.push({ wheel: position, side, ...inventory[side] });
+                }
+            }
+        }
+        for (const part of report[position]?.hardware || []) {
+            if (part[flag]) sides.push({ wheel: position, ...part });
+        }
+    }
+    return sides;
+}
+
+function formatSubstitution(substitution) {
+    if (!substitution) return '';
+    const warning = substitution.engagement?.problems.length > 0 ? '; ENGAGEMENT WARNING' : '';
+    return ` [SUBSTITUTED: calculated ${substitution.calculatedLength}mm${warning}]`;
+}
+
+function substitutionHtml(substitution) {
+    if (!substitution) return '';
+    const warning = substitution.engagement?.problems.length > 0 ? ', ENGAGEMENT WARNING' : '';
+    return ` <span style="color: #D8000C; font-weight: bold;">⚠ SUBSTITUTED (calculated ${substitution.calculatedLength}mm${warning})</span>`;
+}
+
+// The substituted length's own engagement, e.g. "Engagement at 300mm: 6.9 mm engaged, 3.1 mm protrusion, 0.0 mm exposed thread"
+function formatPulledEngagement(engagement) {
+    if (!engagement) return null;
+    const problems = engagement.problems.length > 0 ? ` - WARNING: ${engagement.problems.join('; ')}` : '';
+    return `Engagement at ${engagement.length}mm: ${engagement.engagement} mm engaged, ${engagement.protrusion} mm protrusion, ${engagement.exposedThread} mm exposed thread${problems}`;
+}
+
+function formatCut(cut) {
+    return cut ? ` [CUT FROM ${cut.blankLength}mm BLANK]` : '';
+}
+
+function cutHtml(cut) {
+    return cut ? ` <span style="color: #00529B; font-weight: bold;">✂ CUT FROM ${cut.blankLength}mm BLANK</span>` : '';
+}
+
+// Spares are deducted with the side but listed separately: "14 x 298mm + 1 spare"
+function lacedQuantity(side) {
+    return side.spares ? side.quantity - side.spares : side.quantity;
+}
+
+function formatSpares(spares) {
+    return spares ? ` + ${spares} spare${spares === 1 ? '' : 's'}` : '';
+}
+
+// The variant a side actually deducted: the blank for cut-to-length products
+function stockedLength(side) {
+    return side.cut ? side.cut.blankLength : side.length;
+}
+
+// Only shown when a location strategy other than Primary picked it, e.g. "Workshop 2 (first location with enough stock for both sides)"
+function formatLocation(location) {
+    return location.reason ? `${location.name} (${location.reason})` : location.name;
+}
+
+function describeEntryPosition(entry) {
+    return `${entry.component ? hardwareLabel(entry.component) : (entry.side === 'left' ? 'Left' : 'Right')} (${entry.wheel})`;
+}
+
+// How a stocked item reads in notes and emails: "298mm (Black)" for spokes, the variant for nipples and washers
+function describeStockItem(item) {
+    return item.component ? item.description : `${stockedLength(item)}mm (${item.color})`;
+}
+
+// One side's interference geometry, e.g. "exit 17.2°, head clearance 1.4 mm"
+function formatInterference(check) {
+    if (!check) return 'not checked';
+    if (check.seatDeviationDeg !== null) return `exit ${check.exitAngleDeg}°, ${check.seatDeviationDeg}° off hub seat`;
+    if (check.headClearanceMm === null) {
+        // Straight pull is judged by its seat angle; a radial or shallow J-bend spoke passes no other head
+        if (check.hubType === 'Straight Pull') return `exit ${check.exitAngleDeg}° (hub seat angle not set)`;
+        return `exit ${check.exitAngleDeg}° (${Number(check.cross) === 0 ? 'radial' : `${check.cross}-cross`}, no spoke head to clear)`;
+    }
+    return `exit ${check.exitAngleDeg}°, head clearance ${check.headClearanceMm} mm`;
+}
+
+// How far the pulled length lands from the ideal tensioned length ("n/a" when nothing was pulled)
+function formatFit(idealLength, pulledLength) {
+    if (!Number.isFinite(pulledLength)) return 'n/a';
+    const delta = pulledLength - parseFloat(idealLength);
+    const direction = delta > 0 ? 'long, toward bottoming out in the nipple' : (delta < 0 ? 'short of full engagement' : 'on target');
+    return `${delta >= 0 ? '+' : ''}${delta.toFixed(2)} mm (${direction})`;
+}
+
+// "Build 2 of 3, Qty 2" when an order carries more than one build (or more than one of it), otherwise null
+function describeBuildPosition(build) {
+    if (!build || (build.count <= 1 && build.quantity <= 1)) return null;
+    return `Build ${build.index} of ${build.count}, Qty ${build.quantity}`;
+}
+
 function formatNote(report) {
     let note = "AUTOMATED SPOKE CALCULATION & INVENTORY\n";
+    const buildPosition = describeBuildPosition(report.lineItem);
+    if (buildPosition) {
+        note += `${buildPosition.toUpperCase()} (Build ID ${report.lineItem.buildId}, line item ${report.lineItem.id})\n`;
+    }
     
     // --- NEW: QUICK-SCAN SUMMARY AT THE TOP ---
     note += "--------------------------------------------------\n";
@@ -702,13 +2772,29 @@ function formatNote(report) {
         if (wheel && wheel.calculationSuccessful) {
             const left = wheel.inventory.left;
             const right = wheel.inventory.right;
-            return `${position.toUpperCase()}:  L: ${left.quantity}x${left.length}mm  |  R: ${right.quantity}x${right.length}mm\n`;
+            return `${position.toUpperCase()}:  L: ${lacedQuantity(left)}x${left.length}mm${formatSpares(left.spares)}  |  R: ${lacedQuantity(right)}x${right.length}mm${formatSpares(right.spares)}\n`;
         }
         return "";
     };
 
     note += addSummaryLine(report.front, 'Front');
     note += addSummaryLine(report.rear, 'Rear');
+
+    // Substitutions go right under the summary so nobody pulls the wrong length from the bin
+    collectInventorySides(report, 'substitution').forEach(sub => {
+        note += `!! SUBSTITUTION: ${sub.wheel.toUpperCase()} ${sub.side === 'left' ? 'Left' : 'Right'} calculated ${sub.substitution.calculatedLength}mm -> pull ${sub.substitution.substitutedLength}mm (${sub.substitution.reason}; policy: ${sub.substitution.policy})\n`;
+        const engagement = formatPulledEngagement(sub.substitution.engagement);
+        if (engagement) note += `   ${engagement}\n`;
+    });
+
+    // Cut list for the cutter operator: one line per blank/target/color
+    const cutList = buildCutList(collectInventorySides(report, 'cut'));
+    if (cutList.length > 0) {
+        note += "CUT LIST (blank -> target):\n";
+        cutList.forEach(row => {
+            note += `- ${row.quantity} x ${row.blankLength}mm -> ${row.targetLength}mm (${row.color}) [${row.positions.join(', ')}]\n`;
+        });
+    }
     note += "--------------------------------------------------\n";
     // ------------------------------------------
 
@@ -726,6 +2812,9 @@ function formatNote(report) {
         if (wheel.alert) {
             wheelNote += `  ALERT: ${wheel.alert}\n`;
         }
+        if (wheel.interference) {
+            wheelNote += `  Interference: L ${formatInterference(wheel.interference.left)} | R ${formatInterference(wheel.interference.right)}\n`;
+        }
 
         let rimLine = `  Rim: ${wheel.inputs.rim}`;
         if (wheel.inputs.rimAsymmetry && wheel.inputs.rimAsymmetry > 0) {
@@ -743,21 +2832,56 @@ function formatNote(report) {
         wheelNote += `${rimLine}\n` + 
                `${erdNote}\n` + 
                `  Hub: ${wheel.inputs.hub}\n` +
-               `  Spokes: ${wheel.inputs.spokes}\n` +
+               `  Spokes: ${wheel.inputs.spokes} (Family: ${wheel.inputs.spokeFamily})\n` +
+               (wheel.inputs.spokeProfile ? `  Spoke Profile: ${wheel.inputs.spokeProfile}\n` : '') +
+               (wheel.inputs.spokeDistribution ? `  Spoke Split: ${wheel.inputs.spokeDistribution}\n` : '') +
                `  Target Tension: ${wheel.inputs.targetTension} kgf\n` +
-               `  --- Calculated Lengths ---\n`;
+               `  Rounding Policy: ${wheel.inputs.roundingPolicy}\n`;
+
+        if (wheel.tension) {
+            wheelNote += `  --- Tension Balance ---\n` +
+                         `  Left:  ${wheel.tension.left.tensionKgf} kgf (${wheel.tension.left.tensionPercent}%, bracing ${wheel.tension.left.bracingAngleDeg}°)\n` +
+                         `  Right: ${wheel.tension.right.tensionKgf} kgf (${wheel.tension.right.tensionPercent}%, bracing ${wheel.tension.right.bracingAngleDeg}°)\n`;
+            if (wheel.tension.warning) {
+                wheelNote += `  TENSION WARNING: ${wheel.tension.warning}\n`;
+            }
+        }
 
-        if (wheel.inputs.spokes.includes("Berd")) {
-            wheelNote += `  Left (Raw BERD): ${wheel.lengths.left.geo} mm\n` +
-                         `  Right (Raw BERD): ${wheel.lengths.right.geo} mm\n`;
+        wheelNote += `  --- Calculated Lengths ---\n`;
+
+        if (wheel.lengths.left.stretch === undefined) {
+            wheelNote += `  Left (${wheel.inputs.lengthLabel}): ${wheel.lengths.left.geo} mm\n` +
+                         `  Right (${wheel.inputs.lengthLabel}): ${wheel.lengths.right.geo} mm\n`;
         } else {
             wheelNote += `  Left (Geo):  ${wheel.lengths.left.geo} mm (Stretch: ${wheel.lengths.left.stretch} mm)\n` +
                          `  Right (Geo): ${wheel.lengths.right.geo} mm (Stretch: ${wheel.lengths.right.stretch} mm)\n`;
         }
+
+        if (wheel.lengths.left.ideal !== undefined) {
+            const target = wheel.inputs.engagementTargetMm ? `, engagement target ${wheel.inputs.engagementTargetMm} mm` : '';
+            wheelNote += `  --- Tensioned Fit (Rounding Basis: ${wheel.inputs.roundingBasis}${target}) ---\n` +
+                         `  Left:  ${wheel.inventory.left.length}mm vs ideal ${wheel.lengths.left.ideal} mm: ${formatFit(wheel.lengths.left.ideal, wheel.inventory.left.length)}\n` +
+                         `  Right: ${wheel.inventory.right.length}mm vs ideal ${wheel.lengths.right.ideal} mm: ${formatFit(wheel.lengths.right.ideal, wheel.inventory.right.length)}\n`;
+        }
         
+        if (wheel.nippleEngagement) {
+            const engagement = wheel.nippleEngagement;
+            const formatEngagement = (side) => `${side.engagement} mm engaged, ${side.protrusion} mm protrusion, ${side.exposedThread} mm exposed thread`;
+            wheelNote += `  --- Nipple Engagement (${engagement.nippleLengthMm}mm nipple, ${engagement.threadLengthMm}mm thread) ---\n` +
+                         `  Left:  ${formatEngagement(engagement.left)}\n` +
+                         `  Right: ${formatEngagement(engagement.right)}\n`;
+            if (engagement.warning) {
+                wheelNote += `  ENGAGEMENT WARNING: ${engagement.warning}\n`;
+            }
+        }
+
         wheelNote += `  --- Inventory Adjustments ---\n` +
-               `  Left: ${wheel.inventory.left.quantity} x ${wheel.inventory.left.length}mm (${wheel.inventory.left.status})\n` +
-               `  Right: ${wheel.inventory.right.quantity} x ${wheel.inventory.right.length}mm (${wheel.inventory.right.status})\n`;
+               (wheel.location?.name ? `  Location: ${formatLocation(wheel.location)}\n` : '') +
+               `  Left: ${lacedQuantity(wheel.inventory.left)} x ${wheel.inventory.left.length}mm${formatSpares(wheel.inventory.left.spares)} (${wheel.inventory.left.status})${formatSubstitution(wheel.inventory.left.substitution)}${formatCut(wheel.inventory.left.cut)}${formatStockAlert(wheel.inventory.left.stockAlert)}\n` +
+               `  Right: ${lacedQuantity(wheel.inventory.right)} x ${wheel.inventory.right.length}mm${formatSpares(wheel.inventory.right.spares)} (${wheel.inventory.right.status})${formatSubstitution(wheel.inventory.right.substitution)}${formatCut(wheel.inventory.right.cut)}${formatStockAlert(wheel.inventory.right.stockAlert)}\n`;
+        (wheel.hardware || []).forEach(part => {
+            wheelNote += `  ${hardwareLabel(part.component)}: ${part.quantity} x ${part.description ?? hardwareLabel(part.component).toLowerCase()} (${part.status})${formatStockAlert(part.stockAlert)}\n`;
+        });
         
         return wheelNote;
     };
@@ -768,20 +2892,57 @@ function formatNote(report) {
     if (report.errors && report.errors.length > 0) { 
         note += `\n\nWARNINGS:\n- ${report.errors.join('\n- ')}`; 
     }
+
+    const stockAlerts = collectInventorySides(report, 'stockAlert');
+    if (stockAlerts.length > 0) {
+        note += `\n\nSTOCK ALERTS:\n- ${stockAlerts.map(alert => `${describeStockItem(alert)}: ${alert.stockAlert.message}`).join('\n- ')}`;
+    }
     
     return note;
 }
 
-async function sendEmailReport(report, orderData, buildRecipe) {
-    const resend = new Resend(process.env.RESEND_API_KEY);
-    const recipientEmail = process.env.BUILDER_EMAIL_ADDRESS;
-    const orderNumber = orderData.order_number;
-    const orderAdminUrl = `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/orders/${orderData.id}`;
+function formatRevisionNote(revision) {
+    const formatLine = (item) => {
+        if (!item) return 'none';
+        if (item.description) return `${item.quantity}x ${item.description}`;
+        return `${lacedQuantity(item)}x${item.length}mm${item.cutLength ? ` cut to ${item.cutLength}mm` : ''}${formatSpares(item.spares)} (${item.color})`;
+    };
 
-    if (!recipientEmail) {
-        console.error("CRITICAL: BUILDER_EMAIL_ADDRESS environment variable is not set. Cannot send email.");
-        return;
+    let note = `AUTOMATED SPOKE RECALCULATION${revision.revised ? ' - REVISED' : ''} (${revision.reason}, Revision ${revision.revision})\n`;
+    note += "--------------------------------------------------\n";
+    note += "OLD -> NEW LENGTHS:\n";
+    revision.changes.forEach(change => {
+        const side = change.component ? hardwareLabel(change.component) : (change.side === 'left' ? 'L' : 'R');
+        note += `${change.wheel.toUpperCase()} ${side}:  ${formatLine(change.old)} -> ${formatLine(change.new)}  (${change.status})\n`;
+    });
+    note += "--------------------------------------------------\n";
+    note += "NET INVENTORY ADJUSTMENTS:\n";
+    if (revision.netChanges.length === 0) {
+        note += "- None (net change is zero)\n";
+    }
+    revision.netChanges.forEach(change => {
+        const sign = change.delta > 0 ? '+' : '';
+        note += `- ${sign}${change.delta} x ${describeStockItem(change)} - ${change.status}${formatStockAlert(change.stockAlert)}\n`;
+    });
+    if (revision.inventoryOutcome) {
+        note += `RESULT: ${revision.inventoryOutcome}\n`;
     }
+    if (revision.ledgerConflict) {
+        note += "LEDGER NOT UPDATED - ACTION REQUIRED: The spoke ledger was changed by another update while this revision was applied. The adjustments above were made but are not on the ledger, so restocks will not include them.\n";
+    }
+    note += "--------------------------------------------------\n";
+
+    return note + "\n" + formatNote(revision.report);
+}
+
+/**
+Renders the builder email for one build without sending it.
+@returns {object} { subject, html, attachments } - attachments is empty unless there is a cut list.
+*/
+function renderEmailReport(report, orderData, buildRecipe, revision = null) {
+    const orderNumber = orderData.order_number;
+    const orderAdminUrl = `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/orders/${orderData.id}`;
+    const buildPosition = describeBuildPosition(report.lineItem);
 
     // --- Helper to generate the HTML for one wheel ---
     const generateWheelHtml = (wheel, position) => {
@@ -838,39 +2999,133 @@ async function sendEmailReport(report, orderData, buildRecipe) {
             
             <h4>Lacing Decision</h4>
             <p>Final pattern used: <strong>${crossText}</strong>.</p>
-            ${wheel.alert ? `<p class="alert"><strong>NOTE:</strong> ${wheel.alert}</p>` : (wheel.inputs.spokes.includes("Berd") ? '' : '<p>The default lacing pattern passed the interference check.</p>')}
+            ${wheel.alert ? `<p class="alert"><strong>NOTE:</strong> ${wheel.alert}</p>` : ''}
+            ${wheel.interference ? `<p>Interference check: Left ${formatInterference(wheel.interference.left)}; Right ${formatInterference(wheel.interference.right)}.</p>` : ''}
 
             <h4>Key Inputs</h4>
             <table class="data-table">
                 <tr><td>Rim</td><td>${rimHtml}</td></tr>
                 <tr><td>Hub</td><td>${wheel.inputs.hub}</td></tr>
-                <tr><td>Spokes</td><td>${wheel.inputs.spokes}</td></tr>
+                <tr><td>Spokes</td><td>${wheel.inputs.spokes} (Family: ${wheel.inputs.spokeFamily})</td></tr>
+                ${wheel.inputs.spokeProfile ? `<tr><td>Spoke Profile</td><td>${wheel.inputs.spokeProfile}</td></tr>` : ''}
+                ${wheel.inputs.spokeDistribution ? `<tr><td>Spoke Split</td><td>${wheel.inputs.spokeDistribution}</td></tr>` : ''}
                 <tr><td>ERD Breakdown</td><td>${erdBreakdownHtml}</td></tr>
                 <tr><td>Target Tension</td><td>${wheel.inputs.targetTension} kgf</td></tr>
+                <tr><td>Rounding Policy</td><td>${wheel.inputs.roundingPolicy}</td></tr>
             </table>
 
             ${hubDimensionsHtml}
 
+            ${wheel.tension ? `
+            <h4>Tension Balance</h4>
+            <table class="data-table">
+                <tr><td>Left</td><td>${wheel.tension.left.tensionKgf} kgf (${wheel.tension.left.tensionPercent}%) - bracing ${wheel.tension.left.bracingAngleDeg}°</td></tr>
+                <tr><td>Right</td><td>${wheel.tension.right.tensionKgf} kgf (${wheel.tension.right.tensionPercent}%) - bracing ${wheel.tension.right.bracingAngleDeg}°</td></tr>
+            </table>
+            ${wheel.tension.warning ? `<p class="alert"><strong>TENSION WARNING:</strong> ${wheel.tension.warning}</p>` : ''}
+            ` : ''}
+
             <h4>Calculated Lengths (Pre-Rounding)</h4>
             <table class="data-table">
-                ${wheel.inputs.spokes.includes("Berd") ? `
-                    <tr><td>Left (Raw BERD)</td><td>${wheel.lengths.left.geo} mm</td></tr>
-                    <tr><td>Right (Raw BERD)</td><td>${wheel.lengths.right.geo} mm</td></tr>
+                ${wheel.lengths.left.stretch === undefined ? `
+                    <tr><td>Left (${wheel.inputs.lengthLabel})</td><td>${wheel.lengths.left.geo} mm</td></tr>
+                    <tr><td>Right (${wheel.inputs.lengthLabel})</td><td>${wheel.lengths.right.geo} mm</td></tr>
                 ` : `
                     <tr><td>Left (Geo)</td><td>${wheel.lengths.left.geo} mm (Stretch: ${wheel.lengths.left.stretch} mm)</td></tr>
                     <tr><td>Right (Geo)</td><td>${wheel.lengths.right.geo} mm (Stretch: ${wheel.lengths.right.stretch} mm)</td></tr>
                 `}
             </table>
 
+            ${wheel.lengths.left.ideal !== undefined ? `
+            <h4>Tensioned Fit (Rounding Basis: ${wheel.inputs.roundingBasis}${wheel.inputs.engagementTargetMm ? `, engagement target ${wheel.inputs.engagementTargetMm} mm` : ''})</h4>
+            <table class="data-table">
+                <tr><td>Left</td><td>${wheel.inventory.left.length}mm vs ideal ${wheel.lengths.left.ideal} mm: ${formatFit(wheel.lengths.left.ideal, wheel.inventory.left.length)}</td></tr>
+                <tr><td>Right</td><td>${wheel.inventory.right.length}mm vs ideal ${wheel.lengths.right.ideal} mm: ${formatFit(wheel.lengths.right.ideal, wheel.inventory.right.length)}</td></tr>
+            </table>
+            ` : ''}
+
+            ${wheel.nippleEngagement ? `
+            <h4>Nipple Engagement (${wheel.nippleEngagement.nippleLengthMm}mm nipple, ${wheel.nippleEngagement.threadLengthMm}mm thread)</h4>
+            <table class="data-table">
+                <tr><td>Left</td><td>${wheel.nippleEngagement.left.engagement} mm engaged, ${wheel.nippleEngagement.left.protrusion} mm protrusion, ${wheel.nippleEngagement.left.exposedThread} mm exposed thread</td></tr>
+                <tr><td>Right</td><td>${wheel.nippleEngagement.right.engagement} mm engaged, ${wheel.nippleEngagement.right.protrusion} mm protrusion, ${wheel.nippleEngagement.right.exposedThread} mm exposed thread</td></tr>
+            </table>
+            ${wheel.nippleEngagement.warning ? `<p class="alert"><strong>ENGAGEMENT WARNING:</strong> ${wheel.nippleEngagement.warning}</p>` : ''}
+            ` : ''}
+
             <h4>Inventory Adjustments (Final Lengths)</h4>
+            ${wheel.location?.name ? `<p><strong>Location:</strong> ${formatLocation(wheel.location)}</p>` : ''}
             <table class="data-table">
-                <tr><td>Left</td><td><strong>${wheel.inventory.left.quantity} x ${wheel.inventory.left.length}mm</strong> (${wheel.inventory.left.status})</td></tr>
-                <tr><td>Right</td><td><strong>${wheel.inventory.right.quantity} x ${wheel.inventory.right.length}mm</strong> (${wheel.inventory.right.status})</td></tr>
+                <tr><td>Left</td><td><strong>${lacedQuantity(wheel.inventory.left)} x ${wheel.inventory.left.length}mm${formatSpares(wheel.inventory.left.spares)}</strong> (${wheel.inventory.left.status})${substitutionHtml(wheel.inventory.left.substitution)}${cutHtml(wheel.inventory.left.cut)}${stockAlertHtml(wheel.inventory.left.stockAlert)}</td></tr>
+                <tr><td>Right</td><td><strong>${lacedQuantity(wheel.inventory.right)} x ${wheel.inventory.right.length}mm${formatSpares(wheel.inventory.right.spares)}</strong> (${wheel.inventory.right.status})${substitutionHtml(wheel.inventory.right.substitution)}${cutHtml(wheel.inventory.right.cut)}${stockAlertHtml(wheel.inventory.right.stockAlert)}</td></tr>
+                ${(wheel.hardware || []).map(part => `<tr><td>${hardwareLabel(part.component)}</td><td><strong>${part.quantity} x ${part.description ?? hardwareLabel(part.component).toLowerCase()}</strong> (${part.status})${stockAlertHtml(part.stockAlert)}</td></tr>`).join('')}
             </table>
         </div>
     `;
 };
     
+    // --- Old vs New table for recalculated orders ---
+    const generateRevisionHtml = (revision) => {
+        const formatItem = (item) => {
+            if (!item) return 'none';
+            if (item.description) return `${item.quantity} x ${item.description}`;
+            return `${lacedQuantity(item)} x ${item.length}mm${item.cutLength ? ` cut to ${item.cutLength}mm` : ''}${formatSpares(item.spares)} (${item.color})`;
+        };
+        const rows = revision.changes.map(change => `
+            <tr>
+                <td>${change.wheel.toUpperCase()} ${change.component ? hardwareLabel(change.component) : (change.side === 'left' ? 'Left' : 'Right')}</td>
+                <td><span style="text-decoration: line-through; color: #888;">${formatItem(change.old)}</span> → <strong>${formatItem(change.new)}</strong> (${change.status})</td>
+            </tr>
+        `).join('');
+        const netRows = revision.netChanges.length === 0
+            ? '<p>No net inventory change.</p>'
+            : `<ul>${revision.netChanges.map(change => `<li>${change.delta > 0 ? '+' : ''}${change.delta} x ${describeStockItem(change)} - ${change.status}${stockAlertHtml(change.stockAlert)}</li>`).join('')}</ul>`;
+
+        return `
+            <div class="alert">
+                <h3 style="margin-top: 0;">${revision.revised ? 'REVISED - ' : ''}Recalculated (${revision.reason}, Revision ${revision.revision})</h3>
+                <table class="data-table">${rows}</table>
+                <h4>Net Inventory Adjustments</h4>
+                ${netRows}
+            </div>
+        `;
+    };
+    
+    // --- Substitution banner: calculated vs pulled length ---
+    const generateSubstitutionHtml = (report) => {
+        const substitutions = collectInventorySides(report, 'substitution');
+        if (substitutions.length === 0) return '';
+        return `
+            <div class="alert" style="color: #D8000C; background-color: #FFD2D2;">
+                <h3 style="margin-top: 0;">Length Substitution</h3>
+                ${substitutions.map(sub => `
+                    <p><strong>${sub.wheel.toUpperCase()} ${sub.side === 'left' ? 'Left' : 'Right'}:</strong> calculated ${sub.substitution.calculatedLength}mm → pull <strong>${sub.substitution.substitutedLength}mm</strong><br/>
+                    ${sub.substitution.reason} (policy: ${sub.substitution.policy})
+                    ${sub.substitution.engagement ? `<br/>${formatPulledEngagement(sub.substitution.engagement)}` : ''}</p>
+                `).join('')}
+            </div>
+        `;
+    };
+
+    // --- Cut list for cut-to-length spoke products (also attached as CSV) ---
+    const cutList = buildCutList(collectInventorySides(report, 'cut'));
+    const cutListFilename = `cut-list-${orderNumber}${report.lineItem?.count > 1 ? `-${report.lineItem.index}` : ''}.csv`;
+    const generateCutListHtml = () => {
+        if (cutList.length === 0) return '';
+        return `
+            <div class="alert" style="color: #00529B; background-color: #BDE5F8;">
+                <h3 style="margin-top: 0;">Cut List</h3>
+                <table class="data-table">
+                    <tr><td>Blank → Target</td><td><strong>Quantity / Color / Positions</strong></td></tr>
+                    ${cutList.map(row => `
+                    <tr><td>${row.blankLength}mm → ${row.targetLength}mm</td><td>${row.quantity} x ${row.color} (${row.positions.join(', ')})</td></tr>
+                    `).join('')}
+                </table>
+                <p style="margin-bottom: 0;">Attached as ${cutListFilename}.</p>
+            </div>
+        `;
+    };
+
     // --- Main HTML Structure ---
     const emailHtml = `
         <!DOCTYPE html>
@@ -894,20 +3149,26 @@ async function sendEmailReport(report, orderData, buildRecipe) {
         <body>
             <div class="container">
                 <h2>Spoke Report for Order #${orderNumber}</h2>
-                <p>Build ID: ${buildRecipe.buildId} | <a href="${orderAdminUrl}"><strong>View Order in Shopify →</strong></a></p>
+                <p>Build ID: ${buildRecipe.buildId}${buildPosition ? ` (${buildPosition})` : ''} | <a href="${orderAdminUrl}"><strong>View Order in Shopify →</strong></a></p>
+
+                ${revision ? generateRevisionHtml(revision) : ''}
+
+                ${generateSubstitutionHtml(report)}
+
+                ${generateCutListHtml()}
 
                 <!-- At-a-Glance Summary Box -->
                 <div class="summary-box">
     <h3>Final Spoke Lengths</h3>
     ${report.front && report.front.calculationSuccessful ? `
         <p><strong>Front Wheel (${typeof report.front.crossPattern === 'object' ? `L:${report.front.crossPattern.left}, R:${report.front.crossPattern.right}` : report.front.crossPattern}-Cross):</strong></p>
-        <p style="margin-left: 20px;">Left: ${report.front.inventory.left.quantity} x ${report.front.inventory.left.length}mm</p>
-        <p style="margin-left: 20px;">Right: ${report.front.inventory.right.quantity} x ${report.front.inventory.right.length}mm</p>
+        <p style="margin-left: 20px;">Left: ${lacedQuantity(report.front.inventory.left)} x ${report.front.inventory.left.length}mm${formatSpares(report.front.inventory.left.spares)}</p>
+        <p style="margin-left: 20px;">Right: ${lacedQuantity(report.front.inventory.right)} x ${report.front.inventory.right.length}mm${formatSpares(report.front.inventory.right.spares)}</p>
     ` : ''}
     ${report.rear && report.rear.calculationSuccessful ? `
         <p><strong>Rear Wheel (${typeof report.rear.crossPattern === 'object' ? `L:${report.rear.crossPattern.left}, R:${report.rear.crossPattern.right}` : report.rear.crossPattern}-Cross):</strong></p>
-        <p style="margin-left: 20px;">Left: ${report.rear.inventory.left.quantity} x ${report.rear.inventory.left.length}mm</p>
-        <p style="margin-left: 20px;">Right: ${report.rear.inventory.right.quantity} x ${report.rear.inventory.right.length}mm</p>
+        <p style="margin-left: 20px;">Left: ${lacedQuantity(report.rear.inventory.left)} x ${report.rear.inventory.left.length}mm${formatSpares(report.rear.inventory.left.spares)}</p>
+        <p style="margin-left: 20px;">Right: ${lacedQuantity(report.rear.inventory.right)} x ${report.rear.inventory.right.length}mm${formatSpares(report.rear.inventory.right.spares)}</p>
     ` : ''}
 </div>
 
@@ -919,13 +3180,36 @@ async function sendEmailReport(report, orderData, buildRecipe) {
         </html>
     `;
 
+    return {
+        subject: (revision
+            ? `${revision.revised ? 'REVISED: ' : ''}Spoke Recalculation (${revision.reason}) for Order #${orderNumber}`
+            : `Spoke Calculation Complete for Order #${orderNumber}`) + (buildPosition ? ` (${buildPosition})` : ''),
+        html: emailHtml,
+        attachments: cutList.length > 0
+            ? [{ filename: cutListFilename, content: Buffer.from(cutListToCsv(cutList, orderNumber)).toString('base64') }]
+            : []
+    };
+}
+
+async function sendEmailReport(report, orderData, buildRecipe, revision = null) {
+    const resend = new Resend(process.env.RESEND_API_KEY);
+    const recipientEmail = process.env.BUILDER_EMAIL_ADDRESS;
+
+    if (!recipientEmail) {
+        console.error("CRITICAL: BUILDER_EMAIL_ADDRESS environment variable is not set. Cannot send email.");
+        return;
+    }
+
+    const { subject, html, attachments } = renderEmailReport(report, orderData, buildRecipe, revision);
+
     try {
         const { data, error } = await resend.emails.send({
             from: 'Spoke Calculator <calculator@loamlabsusa.com>',
             to: [recipientEmail],
             reply_to: 'LoamLabs Support <info@loamlabsusa.com>',
-            subject: `Spoke Calculation Complete for Order #${orderNumber}`,
-            html: emailHtml,
+            subject,
+            html,
+            ...(attachments.length > 0 && { attachments }),
         });
 
         if (error) {
@@ -940,6 +3224,64 @@ async function sendEmailReport(report, orderData, buildRecipe) {
     }
 }
 
+async function sendStockAlertEmail(alerts, orderData) {
+    const resend = new Resend(process.env.RESEND_API_KEY);
+    const recipientEmail = process.env.INVENTORY_ALERT_EMAIL_ADDRESS || process.env.BUILDER_EMAIL_ADDRESS;
+    const orderAdminUrl = `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/orders/${orderData.id}`;
+
+    if (!recipientEmail) {
+        console.error("CRITICAL: No INVENTORY_ALERT_EMAIL_ADDRESS or BUILDER_EMAIL_ADDRESS set. Cannot send stock alert.");
+        return;
+    }
+
+    const rows = alerts.map(alert => `
+        <tr>
+            <td>${describeStockItem(alert)}</td>
+            <td><strong>${alert.stockAlert.message}</strong>${alert.wheel ? ` (after ${alert.wheel} ${alert.side ?? alert.component} deduction)` : ''}</td>
+        </tr>
+    `).join('');
+
+    const emailHtml = `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <style>
+                body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; color: #333; line-height: 1.6; }
+                .container { max-width: 600px; margin: 20px auto; padding: 20px; border: 1px solid #ddd; border-radius: 5px; }
+                .data-table { border-collapse: collapse; width: 100%; margin-bottom: 15px; }
+                .data-table td { padding: 8px; border: 1px solid #ddd; }
+                .data-table td:first-child { font-weight: bold; background-color: #f9f9f9; width: 150px; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <h2>Spoke Stock Alert</h2>
+                <p>Triggered by Order #${orderData.order_number} | <a href="${orderAdminUrl}"><strong>View Order in Shopify →</strong></a></p>
+                <table class="data-table">${rows}</table>
+            </div>
+        </body>
+        </html>
+    `;
+
+    try {
+        const { data, error } = await resend.emails.send({
+            from: 'Spoke Calculator <calculator@loamlabsusa.com>',
+            to: [recipientEmail],
+            reply_to: 'LoamLabs Support <info@loamlabsusa.com>',
+            subject: `Spoke Stock Alert: ${alerts.length} variant(s) low or out (Order #${orderData.order_number})`,
+            html: emailHtml,
+        });
+
+        if (error) {
+            console.error("🚨 Failed to send stock alert. Resend API returned an error:", error);
+            return;
+        }
+        console.log(`✅ Sent stock alert to ${recipientEmail}. Resend ID: ${data.id}`);
+    } catch (error) {
+        console.error("🚨 A critical error occurred while trying to send the stock alert:", error);
+    }
+}
+
 // --- MAIN HANDLER FUNCTION with Event Routing ---
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -960,23 +3302,75 @@ export default async function handler(req, res) {
     console.log('✅ Verification successful!');
     const orderData = JSON.parse(rawBody.toString());
     const eventTopic = req.headers['x-shopify-topic'];
+    const webhookId = req.headers['x-shopify-webhook-id'];
+
+    // --- IDEMPOTENCY GUARD ---
+    // Shopify redelivers whenever we are slow or fail, so every delivery is claimed first.
+    const eventStore = getEventStore();
+    if (webhookId) {
+        const claim = await claimWebhook(eventStore, webhookId, eventTopic, orderData.order_id ?? orderData.id ?? orderData.order_edit?.order_id);
+        if (claim === 'duplicate') {
+            console.log(`♻️ Duplicate delivery of webhook ${webhookId} (${eventTopic}). Already processed.`);
+            return res.status(200).json({ message: 'Duplicate webhook ignored.' });
+        }
+        if (claim === 'in_progress') {
+            // Non-2xx makes Shopify retry later, by which point the first run has finished or died.
+            console.log(`⏳ Webhook ${webhookId} is still being processed by another invocation.`);
+            return res.status(409).json({ message: 'Webhook is already being processed.' });
+        }
+        if (claim === 'resumed') {
+            console.log(`🔁 Webhook ${webhookId} was interrupted previously. Resuming.`);
+        }
+    } else {
+        console.warn('⚠️ Missing X-Shopify-Webhook-Id header. Falling back to per-order checks only.');
+    }
 
-    switch (eventTopic) {
-        case 'orders/create':
-            console.log(`Handling new order: #${orderData.order_number}`);
-            await handleOrderCreate(orderData);
-            break;
-        case 'orders/cancelled':
-            console.log(`Handling cancelled order: #${orderData.order_number}`);
-            await handleOrderCancelled(orderData);
-            break;
-        default:
-            console.log(`Received unhandled event topic: ${eventTopic}`);
+    try {
+        switch (eventTopic) {
+            // Every topic that can touch the spoke ledger runs under the order's ledger claim
+            case 'orders/create':
+                console.log(`Handling new order: #${orderData.order_number}`);
+                await withLedgerClaim(eventStore, orderData.id, () => handleOrderCreate(orderData, eventStore));
+                break;
+            case 'orders/cancelled':
+                console.log(`Handling cancelled order: #${orderData.order_number}`);
+                await withLedgerClaim(eventStore, orderData.id, () => handleOrderCancelled(orderData, eventStore));
+                break;
+            case 'orders/fulfilled':
+                console.log(`Handling fulfilled order: #${orderData.order_number}`);
+                await withLedgerClaim(eventStore, orderData.id, () => handleOrderFulfilled(orderData, eventStore));
+                break;
+            case 'refunds/create':
+                console.log(`Handling refund ${orderData.id} for order ${orderData.order_id}`);
+                await withLedgerClaim(eventStore, orderData.order_id, () => handleRefundCreate(orderData, eventStore));
+                break;
+            case 'orders/edited': {
+                // The payload is an order_edit summary, not the order itself
+                const editedOrder = await fetchOrder(orderData.order_edit.order_id);
+                console.log(`Handling edited order: #${editedOrder.order_number}`);
+                await withLedgerClaim(eventStore, editedOrder.id, () => handleOrderEdited(editedOrder, eventStore));
+                break;
+            }
+            case 'orders/updated':
+                console.log(`Handling updated order: #${orderData.order_number}`);
+                await withLedgerClaim(eventStore, orderData.id, () => handleOrderEdited(orderData, eventStore));
+                break;
+            default:
+                console.log(`Received unhandled event topic: ${eventTopic}`);
+        }
+    } catch (error) {
+        if (webhookId) await releaseWebhook(eventStore, webhookId);
+        throw error;
     }
-    
+
+    if (webhookId) await completeWebhook(eventStore, webhookId);
     return res.status(200).json({ message: 'Webhook processed.' });
 
   } catch (error) {
+    if (error.conflict) {
+        console.log(`⏳ ${error.message} Asking Shopify to retry.`);
+        return res.status(409).json({ message: error.message });
+    }
     console.error('An error occurred in the webhook handler:', error);
     return res.status(500).send('Internal Server Error.');
   }
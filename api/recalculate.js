@@ -0,0 +1,39 @@
+// File: /api/recalculate.js
+
+import { recalculateOrder } from './index.js';
+import { allowCors, authorizeInternalRequest } from '../_lib/internalApi.js';
+
+// HTTP status for each reason recalculateOrder gives for not running
+const ERROR_STATUS = {
+    conflict: 409,
+    not_found: 404,
+    unprocessable: 422
+};
+
+// --- Admin Recalculation ---
+// Re-runs the automation for an existing order after a metafield fix (wrong rim_erd, hub flange, ...).
+// POST { "orderId": 5551234 } returns the old vs new lengths and net inventory changes per build
+// without changing anything. POST { "orderId": 5551234, "confirm": true } applies the net changes,
+// appends a REVISED note and re-sends the builder email marked REVISED.
+async function handler(req, res) {
+    if (!authorizeInternalRequest(req, res)) return;
+
+    try {
+        const { orderId, confirm } = req.body || {};
+        if (!orderId) {
+            return res.status(400).json({ error: 'Send the orderId to recalculate.' });
+        }
+
+        const result = await recalculateOrder(orderId, { confirm: confirm === true });
+        if (result.error) {
+            return res.status(ERROR_STATUS[result.reason] || 500).json(result);
+        }
+        return res.status(200).json(result);
+
+    } catch (e) {
+        console.error("Admin Recalculation API Error:", e);
+        return res.status(500).json({ error: e.message });
+    }
+}
+
+export default allowCors(handler);
@@ -1,42 +1,27 @@
 // File: /api/test-calculator.js
 
 import {
-    applyRounding,
     calculateElongation,
     calculateSpokeLength,
     isLacingPossible,
-    calculateBerdFinalLength
+    getSpokeDistribution,
+    calculateTensionBalance,
+    calculateSegmentedElongation,
+    calculateIdealTensionedLength,
+    calculateNippleEngagement,
+    checkSpokeInterference,
+    resolveInterferenceCross,
+    applyRoundingPolicy
 } from '../_lib/calculator.js';
-
-// --- CORS Middleware function ---
-// This function sets the required headers to allow cross-origin requests.
-const allowCors = (fn) => async (req, res) => {
-    res.setHeader('Access-Control-Allow-Credentials', true);
-    res.setHeader('Access-Control-Allow-Origin', '*'); // Or you can be more specific: 'https://loamlabsusa.com'
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, x-internal-secret');
-    
-    // --- Handle preflight requests ---
-    // The browser sends an OPTIONS request first to check if the server allows the actual request.
-    if (req.method === 'OPTIONS') {
-        res.status(204).end();
-        return;
-    }
-    return await fn(req, res);
-};
+import { resolveModulus, parseButtingProfile, layoutSegments, describeSpokeProfile } from '../_lib/spokeMaterial.js';
+import { resolveSpokeFamily } from '../_lib/spokeFamilies.js';
+import { parseRoundingPolicy, describeRoundingPolicy } from '../_lib/roundingPolicy.js';
+import { DEFAULT_NIPPLE_LENGTH_MM, DEFAULT_THREAD_LENGTH_MM, getEngagementLimits, evaluateEngagement } from '../_lib/nippleEngagement.js';
+import { allowCors, authorizeInternalRequest } from '../_lib/internalApi.js';
 
 // This is the main handler for our new endpoint
 async function handler(req, res) {
-    // --- Security Check ---
-    const expectedSecret = process.env.INTERNAL_API_SECRET;
-    const providedSecret = req.headers['x-internal-secret'];
-
-    if (!expectedSecret || providedSecret !== expectedSecret) {
-        return res.status(401).json({ error: 'Unauthorized' });
-    }
-    if (req.method !== 'POST') {
-        return res.status(405).json({ error: 'Method Not Allowed' });
-    }
+    if (!authorizeInternalRequest(req, res)) return;
     
     try {
         const inputs = req.body;
@@ -44,50 +29,124 @@ async function handler(req, res) {
         // ... (The entire calculation logic is IDENTICAL and does not need to be changed) ...
         const effectiveFlangeL = inputs.flange_l - inputs.rimAsymmetry;
         const effectiveFlangeR = inputs.flange_r + inputs.rimAsymmetry;
-        let finalErd, washerPolicy;
-        if (inputs.spokeVendor === 'Berd') {
-            finalErd = inputs.rimErd + (2 * inputs.washerThickness);
-            washerPolicy = "Mandatory (Berd)";
-        } else {
-            washerPolicy = "Optional";
-            finalErd = inputs.rimErd + (2 * inputs.washerThickness);
+        const family = resolveSpokeFamily({ modelGroup: inputs.spokeModelGroup, vendor: inputs.spokeVendor, title: inputs.spokeTitle });
+        const washer = family.washerPolicy(inputs.washerPolicy || 'Optional');
+        const washerPolicy = washer.policy;
+        const finalErd = washer.addWashers ? inputs.rimErd + (2 * inputs.washerThickness) : inputs.rimErd;
+        const spokesPerSide = getSpokeDistribution(inputs.spokeCount, inputs.spokeRatio);
+        if (spokesPerSide.error) {
+            return res.status(400).json({ calculationSuccessful: false, error: spokesPerSide.error });
         }
-        if (!isLacingPossible(inputs.spokeCount, inputs.crossL) || !isLacingPossible(inputs.spokeCount, inputs.crossR)) {
+        // Interfering sides drop to a clearing cross exactly as in the webhook (`manualOverride` keeps the pattern)
+        const interferenceFor = (crossPattern, sideSpokeCount, hubFlangeDiameter) => checkSpokeInterference({
+            hubType: inputs.hubType, crossPattern, sideSpokeCount, hubFlangeDiameter, finalErd,
+            headDiameterMm: inputs.headDiameter, spokeDiameterMm: inputs.spokeDiameter,
+            seatAngleDeg: inputs.seatAngle ?? null, maxSeatDeviationDeg: inputs.maxSeatDeviation
+        });
+        const interference = {};
+        const lacingNotes = [];
+        const cross = {};
+        for (const side of ['left', 'right']) {
+            const resolved = resolveInterferenceCross({
+                side,
+                requestedCross: side === 'left' ? inputs.crossL : inputs.crossR,
+                checkAtCross: (candidate) => interferenceFor(candidate, spokesPerSide[side], side === 'left' ? inputs.pcd_l : inputs.pcd_r),
+                allowDrop: !inputs.manualOverride && family.validatesLacing
+            });
+            cross[side] = resolved.cross;
+            interference[side] = resolved.check;
+            lacingNotes.push(...resolved.notes);
+        }
+        const crossL = cross.left;
+        const crossR = cross.right;
+        // Same gate as the webhook: straight pull and families that opt out (Berd) are not validated
+        const validatesLacing = inputs.hubType !== 'Straight Pull' && family.validatesLacing;
+        if (validatesLacing && (!isLacingPossible(inputs.spokeCount, crossL, spokesPerSide.left) || !isLacingPossible(inputs.spokeCount, crossR, spokesPerSide.right))) {
             return res.status(400).json({ 
                 calculationSuccessful: false, 
-                error: `Lacing pattern ${inputs.crossL}/${inputs.crossR} is not geometrically possible for ${inputs.spokeCount}h.` 
+                error: `Lacing pattern ${crossL}/${crossR} is not geometrically possible for ${inputs.spokeCount}h.` 
             });
         }
         const commonParams = { hubType: inputs.hubType, spokeCount: inputs.spokeCount, finalErd, hubSpokeHoleDiameter: inputs.shd };
-        const paramsLeft = { ...commonParams, isLeft: true, baseCrossPattern: inputs.crossL, hubFlangeDiameter: inputs.pcd_l, flangeOffset: effectiveFlangeL, spOffset: inputs.spo_l };
-        const paramsRight = { ...commonParams, isLeft: false, baseCrossPattern: inputs.crossR, hubFlangeDiameter: inputs.pcd_r, flangeOffset: effectiveFlangeR, spOffset: inputs.spo_r };
+        const paramsLeft = { ...commonParams, isLeft: true, baseCrossPattern: crossL, sideSpokeCount: spokesPerSide.left, hubFlangeDiameter: inputs.pcd_l, flangeOffset: effectiveFlangeL, spOffset: inputs.spo_l };
+        const paramsRight = { ...commonParams, isLeft: false, baseCrossPattern: crossR, sideSpokeCount: spokesPerSide.right, hubFlangeDiameter: inputs.pcd_r, flangeOffset: effectiveFlangeR, spOffset: inputs.spo_r };
+        const tension = calculateTensionBalance({
+            hubType: inputs.hubType, finalErd, crossL, crossR, targetTensionKgf: inputs.targetTension,
+            pcdL: inputs.pcd_l, pcdR: inputs.pcd_r, flangeL: effectiveFlangeL, flangeR: effectiveFlangeR,
+            spokesL: spokesPerSide.left, spokesR: spokesPerSide.right
+        });
         let result;
-        if (inputs.spokeVendor === 'Berd') {
-            const metalLengthL = calculateSpokeLength(paramsLeft);
-            const metalLengthR = calculateSpokeLength(paramsRight);
-            const berdContext = { flangeL: effectiveFlangeL, flangeR: effectiveFlangeR, metalLengthL, metalLengthR };
-            const finalBerdLengthL = calculateBerdFinalLength(metalLengthL, inputs.hubType, true, berdContext);
-            const finalBerdLengthR = calculateBerdFinalLength(metalLengthR, inputs.hubType, false, berdContext);
+        const roundingPolicy = parseRoundingPolicy({
+            stepMm: inputs.roundingStep,
+            direction: inputs.roundingDirection,
+            offsetMm: inputs.roundingOffset,
+            minLengthMm: inputs.minLength,
+            maxLengthMm: inputs.maxLength
+        }, family.rounding);
+        const roundLength = (length) => applyRoundingPolicy(length, roundingPolicy);
+        const corrected = family.correctLengths({
+            metalLengthL: calculateSpokeLength(paramsLeft),
+            metalLengthR: calculateSpokeLength(paramsRight),
+            hubType: inputs.hubType,
+            flangeL: effectiveFlangeL,
+            flangeR: effectiveFlangeR
+        });
+        if (!family.elongationModel) {
             result = {
                 lengths: {
-                    left: { geo: finalBerdLengthL.toFixed(4), rounded: applyRounding(finalBerdLengthL, 'Berd') },
-                    right: { geo: finalBerdLengthR.toFixed(4), rounded: applyRounding(finalBerdLengthR, 'Berd') }
+                    left: { geo: corrected.left.toFixed(4), rounded: roundLength(corrected.left) },
+                    right: { geo: corrected.right.toFixed(4), rounded: roundLength(corrected.right) }
                 }
             };
         } else {
-            const lengthL = calculateSpokeLength(paramsLeft);
-            const lengthR = calculateSpokeLength(paramsRight);
+            const lengthL = corrected.left;
+            const lengthR = corrected.right;
+            const spokeMaterial = resolveModulus(inputs.spokeMaterial, inputs.modulusGpa);
+            const buttingProfile = parseButtingProfile(inputs.buttingProfile);
+            if (buttingProfile?.error) {
+                return res.status(400).json({ calculationSuccessful: false, error: buttingProfile.error });
+            }
+            // Stretch at the target tension on both sides, as the webhook does
+            const stretchFor = (length) => buttingProfile
+                ? calculateSegmentedElongation(layoutSegments(buttingProfile, length), inputs.targetTension, spokeMaterial.modulusGpa)
+                : calculateElongation(length, inputs.targetTension, inputs.crossSectionArea, spokeMaterial.modulusGpa);
+            const roundingBasis = (inputs.roundingBasis || 'Geometric').toLowerCase().startsWith('tension') ? 'Tensioned' : 'Geometric';
+            const sideLengths = (length) => {
+                const stretch = stretchFor(length);
+                const ideal = calculateIdealTensionedLength(length, stretch, inputs.engagementTargetMm || 0);
+                const rounded = roundLength(roundingBasis === 'Tensioned' ? ideal : length);
+                return { geo: length.toFixed(4), stretch: stretch.toFixed(4), ideal: ideal.toFixed(4), fitDelta: (rounded - ideal).toFixed(4), rounded };
+            };
+            const lengths = {
+                left: sideLengths(lengthL),
+                right: sideLengths(lengthR)
+            };
+            const engagementLimits = { minEngagementMm: getEngagementLimits().minEngagementMm, rimInternalHeightMm: inputs.rimInternalHeight || 0 };
+            const engagementFor = (sideLength, geoLength) => {
+                const engagement = calculateNippleEngagement({
+                    endPosition: sideLength.rounded + Number(sideLength.stretch) - geoLength,
+                    nippleLengthMm: inputs.nippleLength || DEFAULT_NIPPLE_LENGTH_MM,
+                    threadLengthMm: inputs.threadLength || DEFAULT_THREAD_LENGTH_MM
+                });
+                return { ...engagement, problems: evaluateEngagement(engagement, engagementLimits) };
+            };
             result = {
-                lengths: {
-                    left: { geo: lengthL.toFixed(4), stretch: calculateElongation(lengthL, inputs.targetTension, inputs.crossSectionArea).toFixed(4), rounded: applyRounding(lengthL, 'Steel') },
-                    right: { geo: lengthR.toFixed(4), stretch: calculateElongation(lengthR, inputs.targetTension, inputs.crossSectionArea).toFixed(4), rounded: applyRounding(lengthR, 'Steel') }
-                }
+                spokeProfile: describeSpokeProfile(spokeMaterial, buttingProfile),
+                roundingBasis,
+                lengths,
+                nippleEngagement: { left: engagementFor(lengths.left, lengthL), right: engagementFor(lengths.right, lengthR) }
             };
         }
         const finalReport = {
           calculationSuccessful: true,
           ...result,
-          inputs: { ...inputs, effectiveFlangeL, effectiveFlangeR, finalErd, washerPolicy }
+          spokesPerSide,
+          tension,
+          interference,
+          crossL,
+          crossR,
+          lacingNotes,
+          inputs: { ...inputs, spokeFamily: family.label, roundingPolicy: describeRoundingPolicy(roundingPolicy), effectiveFlangeL, effectiveFlangeR, finalErd, washerPolicy }
         };
         return res.status(200).json(finalReport);
 
@@ -0,0 +1,25 @@
+// File: /test/calculator.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getSpokeDistribution } from '../_lib/calculator.js';
+
+test('splits the spokes evenly without a ratio', () => {
+    assert.deepEqual(getSpokeDistribution(28), { left: 14, right: 14 });
+    assert.deepEqual(getSpokeDistribution(32, ''), { left: 16, right: 16 });
+});
+
+test('splits the spokes by a left:right ratio', () => {
+    assert.deepEqual(getSpokeDistribution(24, '1:2'), { left: 8, right: 16 });
+    assert.deepEqual(getSpokeDistribution(28, '3:4'), { left: 12, right: 16 });
+});
+
+test('refuses a ratio that does not divide the spoke count', () => {
+    assert.match(getSpokeDistribution(28, '1:2').error, /does not divide 28h evenly/);
+});
+
+test('refuses an unreadable ratio', () => {
+    for (const ratio of ['2', '1:0', 'a:b', '1:2:3']) {
+        assert.match(getSpokeDistribution(24, ratio).error, /Invalid spoke ratio/);
+    }
+});
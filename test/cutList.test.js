@@ -0,0 +1,35 @@
+// File: /test/cutList.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCutPolicy, selectBlank } from '../_lib/cutList.js';
+
+const blanks = [
+    { length: 310, available: 100 },
+    { length: 290, available: 100 },
+    { length: 300, available: 10 }
+];
+
+test('takes the shortest blank that covers the quantity', () => {
+    assert.equal(selectBlank(288, blanks, 14, { maxCutMm: null }).length, 290);
+    assert.equal(selectBlank(292, blanks, 14, { maxCutMm: null }).length, 310);
+});
+
+test('falls back to the shortest long-enough blank when none covers the quantity', () => {
+    assert.equal(selectBlank(292, blanks, 200, { maxCutMm: null }).length, 300);
+});
+
+test('never cuts more off a blank than the policy allows', () => {
+    assert.equal(selectBlank(292, blanks, 14, { maxCutMm: 8 }).length, 300);
+    assert.equal(selectBlank(280, blanks, 14, { maxCutMm: 8 }), null);
+});
+
+test('returns null when no blank is long enough', () => {
+    assert.equal(selectBlank(320, blanks, 14, { maxCutMm: null }), null);
+});
+
+test('reads the cut-to-length metafields', () => {
+    assert.equal(parseCutPolicy('false', '10'), null);
+    assert.deepEqual(parseCutPolicy('true', '10'), { maxCutMm: 10 });
+    assert.deepEqual(parseCutPolicy(true, ''), { maxCutMm: null });
+});
@@ -0,0 +1,73 @@
+// File: /test/inventoryBatch.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyAllOrNothing, inventoryChangeKey } from '../_lib/inventoryBatch.js';
+
+const change = (inventoryItemId, delta) => ({ inventoryItemId, locationId: 'loc', delta });
+
+// A fake Shopify: answers with quantities after the change, rejects (null) or throws per item
+function fakeAdjust({ reject = [], throwOn = [], rejectBatch = false } = {}) {
+    const calls = [];
+    const adjust = async (changes) => {
+        calls.push(changes.map(c => ({ ...c })));
+        if (changes.length > 1 && rejectBatch) return null;
+        if (changes.some(c => throwOn.includes(c.inventoryItemId))) throw new Error('timeout');
+        if (changes.some(c => reject.includes(c.inventoryItemId))) return null;
+        return new Map(changes.map(c => [inventoryChangeKey(c), 50 + c.delta]));
+    };
+    return { adjust, calls };
+}
+
+test('applies every change in one batched call, merged per item and location', async () => {
+    const { adjust, calls } = fakeAdjust();
+    const batch = await applyAllOrNothing([change('a', -14), change('a', -14), change('b', -14)], adjust);
+    assert.equal(batch.outcome, 'applied');
+    assert.equal(batch.mode, 'batch');
+    assert.deepEqual(calls, [[change('a', -28), change('b', -14)]]);
+    assert.deepEqual(batch.quantitiesAfter, { 'a|loc': 22, 'b|loc': 36 });
+});
+
+test('rolls back the applied changes when one is rejected', async () => {
+    const { adjust, calls } = fakeAdjust({ rejectBatch: true, reject: ['c'] });
+    const batch = await applyAllOrNothing([change('a', -14), change('b', -14), change('c', -14)], adjust);
+    assert.equal(batch.outcome, 'none');
+    assert.equal(batch.mode, 'sequential');
+    assert.deepEqual(batch.failed, change('c', -14));
+    assert.deepEqual(batch.unreversed, []);
+    // The batch, a, b, the rejected c, then b and a reversed in reverse order
+    assert.deepEqual(calls.slice(4), [[change('b', 14)], [change('a', 14)]]);
+});
+
+test('reports a partial outcome when a reversal fails too', async () => {
+    const { adjust } = fakeAdjust({ rejectBatch: true, reject: ['c'] });
+    const failingReversal = async (changes) => changes[0].delta > 0 && changes[0].inventoryItemId === 'a' ? null : adjust(changes);
+    const batch = await applyAllOrNothing([change('a', -14), change('b', -14), change('c', -14)], failingReversal);
+    assert.equal(batch.outcome, 'partial');
+    assert.deepEqual(batch.unreversed, [change('a', -14)]);
+});
+
+test('never re-sends a batch Shopify did not answer', async () => {
+    const { adjust, calls } = fakeAdjust({ throwOn: ['a'] });
+    const batch = await applyAllOrNothing([change('a', -14), change('b', -14)], adjust);
+    assert.equal(batch.outcome, 'unknown');
+    assert.equal(calls.length, 1);
+    assert.deepEqual(batch.unknown, [change('a', -14), change('b', -14)]);
+});
+
+test('reverses the applied changes when a single change gets no answer', async () => {
+    const { adjust, calls } = fakeAdjust({ rejectBatch: true, throwOn: ['b'] });
+    const batch = await applyAllOrNothing([change('a', -14), change('b', -14), change('c', -14)], adjust);
+    assert.equal(batch.outcome, 'unknown');
+    assert.deepEqual(batch.unknown, [change('b', -14)]);
+    assert.deepEqual(batch.unreversed, []);
+    // c is never tried and b is never re-sent
+    assert.deepEqual(calls.slice(1), [[change('a', -14)], [change('b', -14)], [change('a', 14)]]);
+});
+
+test('treats an empty set of changes as applied without calling Shopify', async () => {
+    const { adjust, calls } = fakeAdjust();
+    const batch = await applyAllOrNothing([change('a', -14), change('a', 14)], adjust);
+    assert.equal(batch.outcome, 'applied');
+    assert.equal(calls.length, 0);
+});
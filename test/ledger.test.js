@@ -0,0 +1,83 @@
+// File: /test/ledger.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffLedgerEntries, createLedger, addLedgerEntry, recordLedgerBuild, recordRefundedBuilds, openBuildQuantity, splitLedgerEntry, getOpenEntries } from '../_lib/ledger.js';
+
+const entry = (wheel, side, inventoryItemId, delta, locationId = 'loc') => ({ id: `55:${wheel}:${side}:r0`, lineItemId: 55, wheel, side, inventoryItemId, locationId, delta });
+
+test('leaves entries that still match untouched', () => {
+    const open = [entry('front', 'left', 'L298', -14), entry('front', 'right', 'L298', -14)];
+    const diff = diffLedgerEntries(open, [entry('front', 'left', 'L298', -14), entry('front', 'right', 'L298', -14)]);
+    assert.deepEqual(diff.unchanged, open);
+    assert.deepEqual(diff.replaced, []);
+    assert.deepEqual(diff.netChanges, []);
+});
+
+test('moves only the net quantity when a length changes', () => {
+    const open = [entry('front', 'left', 'L298', -14), entry('front', 'right', 'L298', -14)];
+    const diff = diffLedgerEntries(open, [entry('front', 'left', 'L296', -14), entry('front', 'right', 'L298', -14)]);
+    assert.equal(diff.replaced.length, 1);
+    assert.equal(diff.replaced[0].previous, open[0]);
+    assert.deepEqual(diff.netChanges, [
+        { inventoryItemId: 'L298', locationId: 'loc', delta: 14 },
+        { inventoryItemId: 'L296', locationId: 'loc', delta: -14 }
+    ]);
+});
+
+test('nets swapped lengths to nothing', () => {
+    const open = [entry('front', 'left', 'L298', -14), entry('rear', 'left', 'L296', -14)];
+    const diff = diffLedgerEntries(open, [entry('front', 'left', 'L296', -14), entry('rear', 'left', 'L298', -14)]);
+    assert.equal(diff.replaced.length, 2);
+    assert.deepEqual(diff.netChanges, []);
+});
+
+test('restocks removed wheels and deducts added ones', () => {
+    const open = [entry('front', 'left', 'L298', -14)];
+    const diff = diffLedgerEntries(open, [entry('rear', 'left', 'L290', -12)]);
+    assert.deepEqual(diff.removed, open);
+    assert.deepEqual(diff.added, [entry('rear', 'left', 'L290', -12)]);
+    assert.deepEqual(diff.netChanges, [
+        { inventoryItemId: 'L298', locationId: 'loc', delta: 14 },
+        { inventoryItemId: 'L290', locationId: 'loc', delta: -12 }
+    ]);
+});
+
+test('treats the same item at another location as a change', () => {
+    const open = [entry('front', 'left', 'L298', -14, 'a')];
+    const diff = diffLedgerEntries(open, [entry('front', 'left', 'L298', -14, 'b')]);
+    assert.deepEqual(diff.netChanges, [
+        { inventoryItemId: 'L298', locationId: 'a', delta: 14 },
+        { inventoryItemId: 'L298', locationId: 'b', delta: -14 }
+    ]);
+});
+
+test('keeps a wheel whose recalculation failed', () => {
+    const open = [entry('front', 'left', 'L298', -14), entry('rear', 'left', 'L296', -14)];
+    const diff = diffLedgerEntries(open, [entry('front', 'left', 'L296', -14)], { keepWheels: ['rear'] });
+    assert.deepEqual(diff.unchanged, [open[1]]);
+    assert.deepEqual(diff.removed, []);
+    assert.deepEqual(diff.netChanges, [
+        { inventoryItemId: 'L298', locationId: 'loc', delta: 14 },
+        { inventoryItemId: 'L296', locationId: 'loc', delta: -14 }
+    ]);
+});
+
+test('splits the refunded share of an entry off, spares included', () => {
+    const ledger = createLedger({ orderId: 1, orderGid: 'gid://shopify/Order/1' });
+    addLedgerEntry(ledger, { ...entry('rear', 'left', 'L296', -45), spares: 3 });
+    const part = splitLedgerEntry(ledger, '55:rear:left:r0', { builds: 1, of: 3, suffix: 'refund9' });
+    assert.equal(part.id, '55:rear:left:r0:refund9');
+    assert.equal(part.delta, -15);
+    assert.equal(part.spares, 1);
+    assert.deepEqual(getOpenEntries(ledger).map(e => [e.id, e.delta, e.spares]), [['55:rear:left:r0', -30, 2], ['55:rear:left:r0:refund9', -15, 1]]);
+});
+
+test('counts refunded builds per wheel and keeps them across revisions', () => {
+    const ledger = createLedger({ orderId: 1, orderGid: 'gid://shopify/Order/1' });
+    recordLedgerBuild(ledger, { lineItemId: 55, buildId: 'B1', recipeHash: 'a', quantity: 3 });
+    recordRefundedBuilds(ledger, 55, 'rear', 1);
+    recordLedgerBuild(ledger, { lineItemId: 55, buildId: 'B1', recipeHash: 'b', quantity: 3 });
+    assert.equal(openBuildQuantity(ledger.builds[55], 'rear'), 2);
+    assert.equal(openBuildQuantity(ledger.builds[55], 'front'), 3);
+});
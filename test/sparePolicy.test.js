@@ -0,0 +1,31 @@
+// File: /test/sparePolicy.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSparePolicy, sparesForSide } from '../_lib/sparePolicy.js';
+
+test('reads per side and per wheel policies', () => {
+    assert.deepEqual(parseSparePolicy('+1 per side'), { count: 1, per: 'side' });
+    assert.deepEqual(parseSparePolicy('2 per wheel'), { count: 2, per: 'wheel' });
+    assert.deepEqual(parseSparePolicy(' +3 Spares / Wheel '), { count: 3, per: 'wheel' });
+});
+
+test('treats empty, zero and none as no spares', () => {
+    for (const value of [undefined, null, '', 'None', '0', '+0 per side']) {
+        assert.equal(parseSparePolicy(value), null);
+    }
+});
+
+test('ignores an unreadable policy', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    assert.equal(parseSparePolicy('a few'), null);
+    assert.equal(console.warn.mock.callCount(), 1);
+});
+
+test('splits per wheel spares with the odd one on the left, per build', () => {
+    const policy = parseSparePolicy('+3 per wheel');
+    assert.equal(sparesForSide(policy, 'left'), 2);
+    assert.equal(sparesForSide(policy, 'right'), 1);
+    assert.equal(sparesForSide(policy, 'left', 2), 4);
+    assert.equal(sparesForSide(parseSparePolicy('+1 per side'), 'right', 2), 2);
+});